@@ -0,0 +1,206 @@
+// analytics.js
+// Local record of what people ask and whether the answers helped.
+//
+// Every /api/query interaction and every thumbs up/down is appended as one
+// JSON line under ANALYTICS_DIR (default ./analytics): interactions.jsonl and
+// feedback.jsonl. analyticsReport() reads both back into failure rates, the
+// slowest queries, top unanswered questions and per-source usage.
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { normalizeQuestion } from "./cache.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ANALYTICS_DIR = process.env.ANALYTICS_DIR || path.join(__dirname, "analytics");
+const INTERACTIONS_FILE = path.join(ANALYTICS_DIR, "interactions.jsonl");
+const FEEDBACK_FILE = path.join(ANALYTICS_DIR, "feedback.jsonl");
+const MAX_COMMENT_LENGTH = 1000;
+
+// Answered, but not from the graph or not at all
+const FAILED_METHODS = ["rejected", "not-possible", "no-results"];
+
+export const FEEDBACK_RATINGS = ["up", "down"];
+
+// ============================================================================
+// STORE
+// ============================================================================
+async function append(file, entry) {
+  await fs.mkdir(ANALYTICS_DIR, { recursive: true });
+  await fs.appendFile(file, JSON.stringify(entry) + "\n");
+}
+
+async function readLines(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  // A line cut short by a crash is skipped, not fatal
+  return text.split("\n").filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Log one answered (or failed) question; returns its interaction id
+ */
+export async function recordInteraction({ endpoint, sessionId, question, mode, result = {}, error = null }) {
+  const id = `int_${crypto.randomUUID()}`;
+  await append(INTERACTIONS_FILE, {
+    id,
+    at: new Date().toISOString(),
+    endpoint,
+    sessionId,
+    question,
+    mode: mode || null,
+    method: result.method || (result.error || error ? "error" : "cypher"),
+    generatedCypher: result.generatedCypher || null,
+    fixedCypher: result.fixedCypher || null,
+    cypher: result.cypher || null,
+    rowCount: result.resultCount ?? 0,
+    timings: result.timings || null,
+    usage: result.usage || null,
+    error: error || result.error || null,
+    rejection: result.rejection?.code || null,
+    planSteps: result.plan?.length || null,
+    sources: [...new Set((result.citations || []).map(c => c.source).filter(Boolean))]
+  });
+  return id;
+}
+
+/**
+ * Record a rating for an interaction; returns null if the interaction is unknown
+ */
+export async function recordFeedback({ interactionId, rating, comment, sessionId }) {
+  const interactions = await readLines(INTERACTIONS_FILE);
+  if (!interactions.some(i => i.id === interactionId)) return null;
+
+  const entry = {
+    interactionId,
+    rating,
+    comment: comment ? String(comment).slice(0, MAX_COMMENT_LENGTH) : null,
+    sessionId,
+    at: new Date().toISOString()
+  };
+  await append(FEEDBACK_FILE, entry);
+  return entry;
+}
+
+export async function getInteraction(id) {
+  return (await readLines(INTERACTIONS_FILE)).find(i => i.id === id) || null;
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+function isFailure(interaction) {
+  return Boolean(interaction.error) || FAILED_METHODS.includes(interaction.method);
+}
+
+function rate(count, total) {
+  return total > 0 ? Number((count / total).toFixed(3)) : null;
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+/**
+ * Usage report over the last `days` days (all time when omitted)
+ */
+export async function analyticsReport({ days = null, limit = 10 } = {}) {
+  const since = days ? Date.now() - days * 24 * 60 * 60 * 1000 : 0;
+  const interactions = (await readLines(INTERACTIONS_FILE)).filter(i => Date.parse(i.at) >= since);
+  const ids = new Set(interactions.map(i => i.id));
+  const feedback = (await readLines(FEEDBACK_FILE)).filter(f => ids.has(f.interactionId));
+
+  // Latest rating per interaction wins
+  const ratings = new Map(feedback.map(f => [f.interactionId, f.rating]));
+  const failures = interactions.filter(isFailure);
+
+  const methods = {};
+  for (const i of interactions) methods[i.method] = (methods[i.method] || 0) + 1;
+
+  const stageNames = [...new Set(interactions.flatMap(i => Object.keys(i.timings || {})))];
+  const latency = Object.fromEntries(stageNames.map(stage => {
+    const values = interactions.map(i => i.timings?.[stage]).filter(v => typeof v === "number");
+    return [stage, {
+      avg: Math.round(values.reduce((sum, v) => sum + v, 0) / values.length),
+      p95: percentile(values, 0.95)
+    }];
+  }));
+
+  const slowest = interactions
+    .filter(i => i.timings?.total !== undefined)
+    .sort((a, b) => b.timings.total - a.timings.total)
+    .slice(0, limit)
+    .map(i => ({ id: i.id, at: i.at, question: i.question, method: i.method, ms: i.timings.total, timings: i.timings }));
+
+  // Failed, empty or thumbs-down answers, grouped by question
+  const unanswered = new Map();
+  for (const i of interactions) {
+    if (!isFailure(i) && i.rowCount > 0 && ratings.get(i.id) !== "down") continue;
+    const key = normalizeQuestion(i.question || "");
+    const entry = unanswered.get(key) || { question: i.question, count: 0, methods: {}, lastAsked: null };
+    entry.count++;
+    entry.methods[i.method] = (entry.methods[i.method] || 0) + 1;
+    entry.lastAsked = i.at;
+    unanswered.set(key, entry);
+  }
+
+  const perSource = {};
+  for (const i of interactions) {
+    for (const source of i.sources || []) {
+      const entry = perSource[source] ||= { interactions: 0, up: 0, down: 0 };
+      entry.interactions++;
+      if (ratings.get(i.id) === "up") entry.up++;
+      if (ratings.get(i.id) === "down") entry.down++;
+    }
+  }
+
+  const tokens = { prompt: 0, completion: 0, llmCalls: 0, cachedCalls: 0 };
+  for (const i of interactions) {
+    tokens.prompt += i.usage?.promptTokens || 0;
+    tokens.completion += i.usage?.completionTokens || 0;
+    tokens.llmCalls += i.usage?.calls || 0;
+    tokens.cachedCalls += i.usage?.cachedCalls || 0;
+  }
+
+  const up = [...ratings.values()].filter(r => r === "up").length;
+  return {
+    generatedAt: new Date().toISOString(),
+    window: days ? `${days}d` : "all",
+    interactions: interactions.length,
+    failures: failures.length,
+    failureRate: rate(failures.length, interactions.length),
+    errorRate: rate(interactions.filter(i => i.error).length, interactions.length),
+    methods,
+    latency,
+    tokens,
+    feedback: {
+      rated: ratings.size,
+      up,
+      down: ratings.size - up,
+      satisfaction: rate(up, ratings.size),
+      recentComments: feedback.filter(f => f.comment).slice(-limit).reverse()
+    },
+    slowest,
+    topUnanswered: [...unanswered.values()].sort((a, b) => b.count - a.count).slice(0, limit),
+    perSource,
+    // Thumbs-up queries worth promoting into the few-shot library
+    promotable: interactions
+      .filter(i => ratings.get(i.id) === "up" && i.cypher && !isFailure(i))
+      .slice(-limit)
+      .map(i => ({ id: i.id, question: i.question, cypher: i.cypher }))
+  };
+}
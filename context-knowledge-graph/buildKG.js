@@ -1,5 +1,7 @@
 import neo4j from "neo4j-driver";
 import dotenv from "dotenv";
+import { buildIssueClusters } from "./issueClustering.js";
+import { buildProductCatalog } from "./productExtraction.js";
 
 dotenv.config();
 
@@ -11,79 +13,154 @@ async function main() {
   );
 
   const session = driver.session();
+  let status = "failed";
 
   try {
     console.log("🧠 Building dynamic KG intelligence (v1)");
 
+    /* ======================================================
+       0. CONSTRAINTS
+       Derived ids come from the importer's stable content ids
+       (never internal id()), so re-runs converge on one graph
+    ====================================================== */
+    for (const label of ["Report", "Issue", "Solution", "Product", "ProductFamily"]) {
+      await session.run(
+        `CREATE CONSTRAINT ${label.toLowerCase()}_id_unique IF NOT EXISTS FOR (n:${label}) REQUIRE n.id IS UNIQUE`
+      );
+    }
+
     /* ======================================================
        1. POSTS → REPORTS
-       Any sufficiently long post becomes a report
+       Any sufficiently long post becomes a report, except
+       replies the forum flagged as the answer (those are
+       solutions, see step 3)
     ====================================================== */
+    await session.run(`
+      MATCH (p:Post)-[:AS_REPORT]->(r:Report)
+      WHERE coalesce(p.is_accepted, false) OR coalesce(p.is_solution, false)
+      DETACH DELETE r
+    `);
+
     await session.run(`
       MATCH (p:Post)
       WHERE size(p.text) > 150
-      MERGE (r:Report {id: 'rep_' + id(p)})
+        AND NOT coalesce(p.is_accepted, false)
+        AND NOT coalesce(p.is_solution, false)
+      MERGE (r:Report {id: 'rep_' + p.id})
       SET r.content = p.text,
           r.source = p.source
       MERGE (p)-[:AS_REPORT]->(r)
     `);
 
     /* ======================================================
-       2. ISSUE CREATION (FREQUENCY-BASED)
-       If multiple reports occur in the same thread,
-       they represent the same underlying issue
+       2. ISSUE CLUSTERING (TEXT SIMILARITY)
+       Reports from any thread or forum that describe the
+       same problem share one Issue; ids carry over between
+       runs by member overlap
     ====================================================== */
-    await session.run(`
-      MATCH (t:Thread)<-[:IN_THREAD]-(p:Post)-[:AS_REPORT]->(r:Report)
-      WITH t, collect(r) AS reports
-      WHERE size(reports) >= 2
-      MERGE (i:Issue {id: 'iss_' + id(t)})
-      SET i.source = t.source,
-          i.report_count = size(reports)
-      FOREACH (rep IN reports |
-        MERGE (rep)-[:MENTIONS]->(i)
-      )
-    `);
+    const issueCount = await buildIssueClusters(session);
+    console.log(`🧩 ${issueCount} issues clustered from reports`);
 
     /* ======================================================
-       3. SOLUTION CREATION (REPLY-DERIVED)
-       Any comment replying in a thread with an issue
-       is treated as a candidate solution
+       3. SOLUTION CREATION (REPLY-DERIVED + GROUND TRUTH)
+       Any reply post or comment replying (directly or down
+       a reply chain) to a reported post is a candidate
+       solution. Replies the forum flagged as the answer
+       are solutions even when the post they answer was too
+       short to become a report (they are then scored
+       against the thread's opening post).
+       Signals are combined once per reply, over every post
+       it answers.
+       Forum flags decide the status:
+         accepted  → is_accepted, linked [:ACCEPTED_FOR] to the Issue
+         marked    → is_solution
+         candidate → scored by the heuristic below
+       Every signal that contributed is kept in s.evidence.
+       Solutions are re-derived from scratch: ones whose
+       reply no longer qualifies are removed afterwards
     ====================================================== */
     await session.run(`
-      MATCH (i:Issue)<-[:MENTIONS]-(:Report)<-[:AS_REPORT]-(p:Post)-[:IN_THREAD]->(t:Thread)
-      MATCH (c:Comment)-[:IN_THREAD]->(t)
-      MERGE (s:Solution {id: 'sol_' + id(c)})
+      MATCH (:Solution)-[r:ACCEPTED_FOR]->(:Issue)
+      DELETE r
+    `);
+
+    await session.run(`
+      MATCH (s:Solution)
+      SET s.stale = true
+    `);
+
+    await session.run(`
+      CALL {
+        MATCH (:Report)<-[:AS_REPORT]-(p:Post)
+        MATCH path = (c:Post|Comment)-[:REPLIES_TO*1..3]->(p)
+        WHERE coalesce(c.is_original_post, false) = false
+        RETURN c, p, length(path) AS depth
+        UNION
+        MATCH (c:Post|Comment)
+        WHERE (coalesce(c.is_accepted, false) OR coalesce(c.is_solution, false))
+          AND coalesce(c.is_original_post, false) = false
+        OPTIONAL MATCH path = (c)-[:REPLIES_TO*1..3]->(p:Post {position: 0})
+        RETURN c, p, length(path) AS depth
+      }
+      WITH c, p, min(depth) AS depth
+      OPTIONAL MATCH (p)<-[:AUTHORED]-(asker:User)
+      OPTIONAL MATCH (asker)-[:AUTHORED]->(followup)-[:REPLIES_TO]->(c)
+      OPTIONAL MATCH (p)-[:AS_REPORT]->(:Report)-[:MENTIONS]->(i:Issue)
+      WITH c, min(depth) AS depth, count(followup) > 0 AS askerFollowedUp, collect(DISTINCT i) AS issues
+      OPTIONAL MATCH (c)<-[:AUTHORED]-(author:User)
+      WITH c, issues, [signal IN [
+        CASE WHEN c.is_accepted THEN ['accepted_answer', 5] END,
+        CASE WHEN c.is_solution THEN ['marked_solution', 3] END,
+        CASE WHEN depth = 1 THEN ['direct_reply', 1] END,
+        CASE WHEN askerFollowedUp THEN ['asker_followed_up', 1] END,
+        CASE WHEN author.username STARTS WITH 'DELL-' THEN ['vendor_staff', 1] END,
+        CASE WHEN c.text =~ '(?is).*\\\\b(fixed|solved|resolved|worked|works now|update[ds]?|reinstall(ed)?|driver|bios|reset)\\\\b.*'
+             THEN ['fix_language', 1] END
+      ] WHERE signal IS NOT NULL] AS signals
+      MERGE (s:Solution {id: 'sol_' + c.id})
       SET s.content = c.text,
-          s.source = c.source
+          s.source = c.source,
+          s.status = CASE
+            WHEN c.is_accepted THEN 'accepted'
+            WHEN c.is_solution THEN 'marked'
+            ELSE 'candidate'
+          END,
+          s.score = reduce(total = 0, sig IN signals | total + sig[1]),
+          s.evidence = [sig IN signals | sig[0] + ' (+' + toString(sig[1]) + ')']
+      REMOVE s.stale
       MERGE (c)-[:PROPOSES]->(s)
+      FOREACH (i IN CASE WHEN c.is_accepted THEN issues ELSE [] END |
+        MERGE (s)-[:ACCEPTED_FOR]->(i)
+      )
+    `);
+
+    const stale = await session.run(`
+      MATCH (s:Solution {stale: true})
+      DETACH DELETE s
+      RETURN count(s) AS removed
     `);
+    console.log(`🧹 ${stale.records[0].get("removed")} stale solutions removed`);
 
     /* ======================================================
        4. CONFIRMATIONS (PURELY STRUCTURAL)
-       Multiple comments proposing the same solution
+       Multiple replies proposing the same solution
        → higher confidence
     ====================================================== */
     await session.run(`
-      MATCH (s:Solution)<-[:PROPOSES]-(:Comment)
+      MATCH (s:Solution)<-[:PROPOSES]-(:Post|Comment)
       WITH s, count(*) AS confirmations
       SET s.confirmation_count = confirmations
     `);
 
     /* ======================================================
-       5. PRODUCT INFERENCE (CO-OCCURRENCE, NOT NAMES)
-       Threads that repeatedly share vocabulary
-       form a product/context node
+       5. PRODUCT EXTRACTION (CATALOG, NOT THREADS)
+       Family + model mentions from titles, the product
+       column and post/report text become canonical
+       (Product)-[:VARIANT_OF]->(ProductFamily) nodes
+       shared across forums
     ====================================================== */
-    await session.run(`
-      MATCH (t:Thread)<-[:IN_THREAD]-(p:Post)
-      WITH t, count(p) AS activity
-      WHERE activity >= 3
-      MERGE (pr:Product {id: 'prod_' + id(t)})
-      SET pr.source = t.source,
-          pr.activity = activity
-      MERGE (t)-[:ABOUT_PRODUCT]->(pr)
-    `);
+    const productLinks = await buildProductCatalog(session);
+    console.log(`🏷️  Product catalog built from ${productLinks} mentions`);
 
     /* ======================================================
        6. USER EXPERTISE (GRAPH-BASED)
@@ -91,16 +168,29 @@ async function main() {
     ====================================================== */
     await session.run(`
       MATCH (u:User)-[:AUTHORED]->(n)
-      OPTIONAL MATCH (n)-[:PROPOSES]->(:Solution)
-      WITH u, count(n) AS contributions, count(*) AS solutions
+      OPTIONAL MATCH (n)-[:PROPOSES]->(s:Solution)
+      WITH u, count(DISTINCT n) AS contributions, count(DISTINCT s) AS solutions
       SET u.expertise_score = contributions + solutions * 2
     `);
 
     console.log("✅ Dynamic KG intelligence built successfully");
+    status = "completed";
 
   } catch (err) {
     console.error("❌ KG build failed:", err);
   } finally {
+    /* ======================================================
+       7. BUILD MARKER
+       A rebuild may only rewrite properties, so caches
+       watch this timestamp as well as the counts
+       (even a failed build may have changed the graph)
+    ====================================================== */
+    await session.run(`
+      MERGE (b:KGBuild {id: 'kg_build'})
+      SET b.finished_at = datetime(),
+          b.status = $status
+    `, { status }).catch(err => console.warn(`⚠️ Could not write the build marker: ${err.message}`));
+
     await session.close();
     await driver.close();
   }
@@ -0,0 +1,151 @@
+// cache.js
+// In-process caches for the query path, with TTLs and hit/miss statistics.
+//
+//   question → Cypher        (first question of a conversation only)
+//   Cypher + params → rows
+//   prompt → LLM completion
+//
+// Imports and KG builds run as separate processes, so the graph is
+// fingerprinted (node/relationship counts, last import run, last KG build)
+// at most every CACHE_CHECK_SECONDS; any change clears every cache. The
+// schema service checks the same fingerprint on its own, cache on or off.
+
+import crypto from "crypto";
+import { runCypherReadOnly } from "./neo4jClient.js";
+
+const ENABLED = process.env.CACHE_ENABLED !== "false";
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 500;
+const CHECK_INTERVAL_MS = (Number(process.env.CACHE_CHECK_SECONDS) || 30) * 1000;
+const minutes = (name, fallback) => (Number(process.env[name]) || fallback) * 60 * 1000;
+
+// ============================================================================
+// TTL + LRU CACHE
+// ============================================================================
+function createCache(name, ttlMs) {
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, sets: 0, evictions: 0 };
+
+  return {
+    name,
+    get(key) {
+      const entry = ENABLED ? entries.get(key) : undefined;
+      if (!entry || entry.expires < Date.now()) {
+        if (entry) entries.delete(key);
+        stats.misses++;
+        return undefined;
+      }
+      // Re-insert so Map order tracks recency
+      entries.delete(key);
+      entries.set(key, entry);
+      stats.hits++;
+      return entry.value;
+    },
+    set(key, value) {
+      if (!ENABLED) return;
+      entries.delete(key);
+      entries.set(key, { value, expires: Date.now() + ttlMs });
+      stats.sets++;
+      if (entries.size > MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+        stats.evictions++;
+      }
+    },
+    clear() {
+      entries.clear();
+    },
+    stats() {
+      const lookups = stats.hits + stats.misses;
+      return {
+        size: entries.size,
+        ttlSeconds: ttlMs / 1000,
+        ...stats,
+        hitRate: lookups > 0 ? Number((stats.hits / lookups).toFixed(3)) : null
+      };
+    }
+  };
+}
+
+export const questionCache = createCache("question", minutes("CACHE_QUESTION_TTL_MINUTES", 60));
+export const resultCache = createCache("result", minutes("CACHE_RESULT_TTL_MINUTES", 10));
+export const llmCache = createCache("llm", minutes("CACHE_LLM_TTL_MINUTES", 60));
+
+const CACHES = [questionCache, resultCache, llmCache];
+
+// ============================================================================
+// KEYS
+// ============================================================================
+export function cacheKey(...parts) {
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+}
+
+/**
+ * Case, whitespace and trailing punctuation don't change a question
+ */
+export function normalizeQuestion(question) {
+  return question.toLowerCase().replace(/\s+/g, " ").replace(/[\s?!.]+$/, "").trim();
+}
+
+// ============================================================================
+// INVALIDATION
+// ============================================================================
+let fingerprint = null;
+let checkedAt = 0;
+let invalidations = 0;
+let lastInvalidation = null;
+
+/**
+ * Changes whenever an import, rollback or KG build touched the graph
+ */
+export async function graphFingerprint() {
+  const [row] = await runCypherReadOnly(`
+    CALL { MATCH (n) RETURN count(n) AS nodes }
+    CALL { MATCH ()-[r]->() RETURN count(r) AS relationships }
+    CALL {
+      OPTIONAL MATCH (run:ImportRun)
+      RETURN toString(max(run.finished_at)) AS lastRun
+    }
+    CALL {
+      OPTIONAL MATCH (build:KGBuild)
+      RETURN toString(max(build.finished_at)) AS lastBuild
+    }
+    RETURN nodes, relationships, lastRun, lastBuild
+  `);
+  return `${row.nodes}/${row.relationships}/${row.lastRun}/${row.lastBuild}`;
+}
+
+/**
+ * Clear every cache if the graph changed since the last check
+ * (`readFingerprint` is swappable for tests)
+ */
+export async function ensureFresh({ readFingerprint = graphFingerprint } = {}) {
+  if (!ENABLED || Date.now() - checkedAt < CHECK_INTERVAL_MS) return;
+  checkedAt = Date.now();
+  try {
+    const current = await readFingerprint();
+    if (fingerprint && current !== fingerprint) {
+      console.log(`🧹 Graph changed (${fingerprint} → ${current}), clearing caches`);
+      clearCaches("graph changed");
+    }
+    fingerprint = current;
+  } catch (err) {
+    console.warn(`⚠️ Cache freshness check failed: ${err.message}`);
+  }
+}
+
+export function clearCaches(reason = "manual", names = null) {
+  for (const cache of CACHES) {
+    if (!names || names.includes(cache.name)) cache.clear();
+  }
+  invalidations++;
+  lastInvalidation = { reason, at: new Date().toISOString(), caches: names || CACHES.map(c => c.name) };
+}
+
+export function cacheStats() {
+  return {
+    enabled: ENABLED,
+    graphFingerprint: fingerprint,
+    invalidations,
+    lastInvalidation,
+    caches: Object.fromEntries(CACHES.map(cache => [cache.name, cache.stats()]))
+  };
+}
@@ -0,0 +1,113 @@
+// cache.test.js
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// Limits are read when the module loads
+process.env.CACHE_MAX_ENTRIES = "3";
+process.env.CACHE_RESULT_TTL_MINUTES = "1";
+process.env.CACHE_CHECK_SECONDS = "30";
+const { cacheKey, cacheStats, clearCaches, ensureFresh, llmCache, normalizeQuestion, questionCache, resultCache } =
+  await import("./cache.js");
+
+const MINUTE = 60 * 1000;
+
+function clock(t, start = Date.UTC(2026, 0, 1)) {
+  let now = start;
+  t.mock.method(Date, "now", () => now);
+  return { advance: ms => { now += ms; } };
+}
+
+beforeEach(() => clearCaches("test"));
+
+describe("caches", () => {
+  it("expire entries after their TTL", (t) => {
+    const time = clock(t);
+    resultCache.set("q", [{ n: 1 }]);
+    time.advance(MINUTE);
+    assert.deepEqual(resultCache.get("q"), [{ n: 1 }]);
+    time.advance(1);
+    assert.equal(resultCache.get("q"), undefined);
+    assert.equal(resultCache.stats().size, 0);
+  });
+
+  it("evict the least recently used entry past the size limit", () => {
+    for (const key of ["a", "b", "c"]) questionCache.set(key, key);
+    questionCache.get("a");
+    questionCache.set("d", "d");
+
+    assert.equal(questionCache.get("b"), undefined);
+    assert.deepEqual(["a", "c", "d"].map(key => questionCache.get(key)), ["a", "c", "d"]);
+    assert.equal(questionCache.stats().evictions, 1);
+  });
+
+  it("count hits and misses", () => {
+    const before = llmCache.stats();
+    llmCache.set("prompt", "completion");
+    llmCache.get("prompt");
+    llmCache.get("other");
+    const after = llmCache.stats();
+    assert.equal(after.hits - before.hits, 1);
+    assert.equal(after.misses - before.misses, 1);
+    assert.equal(after.ttlSeconds, 3600);
+  });
+});
+
+describe("clearCaches", () => {
+  it("clears only the named caches and records why", () => {
+    questionCache.set("q", "cypher");
+    resultCache.set("r", []);
+    clearCaches("admin", ["result"]);
+
+    assert.equal(questionCache.get("q"), "cypher");
+    assert.equal(resultCache.get("r"), undefined);
+    const { lastInvalidation } = cacheStats();
+    assert.equal(lastInvalidation.reason, "admin");
+    assert.deepEqual(lastInvalidation.caches, ["result"]);
+  });
+});
+
+describe("ensureFresh", () => {
+  it("clears every cache once the graph fingerprint changes", async (t) => {
+    t.mock.method(console, "log", () => {});
+    const time = clock(t, Date.UTC(2027, 0, 1));
+    let graph = "10/20/run-1";
+    const readFingerprint = t.mock.fn(async () => graph);
+
+    await ensureFresh({ readFingerprint });
+    questionCache.set("q", "cypher");
+    resultCache.set("r", []);
+
+    // Checked at most every CACHE_CHECK_SECONDS
+    graph = "12/23/run-2";
+    await ensureFresh({ readFingerprint });
+    assert.equal(readFingerprint.mock.callCount(), 1);
+    assert.equal(questionCache.get("q"), "cypher");
+
+    time.advance(30 * 1000);
+    const before = cacheStats().invalidations;
+    await ensureFresh({ readFingerprint });
+    assert.equal(questionCache.get("q"), undefined);
+    assert.equal(resultCache.get("r"), undefined);
+    assert.equal(cacheStats().invalidations, before + 1);
+    assert.equal(cacheStats().graphFingerprint, "12/23/run-2");
+  });
+
+  it("keeps the caches when the fingerprint cannot be read", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    clock(t, Date.UTC(2028, 0, 1));
+    questionCache.set("q", "cypher");
+    await ensureFresh({ readFingerprint: async () => { throw new Error("unavailable"); } });
+    assert.equal(questionCache.get("q"), "cypher");
+  });
+});
+
+describe("keys", () => {
+  it("normalize case, whitespace and trailing punctuation", () => {
+    assert.equal(normalizeQuestion("  Which  XPS models\tfail?! "), "which xps models fail");
+  });
+
+  it("hash every part of the key", () => {
+    assert.equal(cacheKey("MATCH (n) RETURN n", { a: 1 }), cacheKey("MATCH (n) RETURN n", { a: 1 }));
+    assert.notEqual(cacheKey("MATCH (n) RETURN n", { a: 1 }), cacheKey("MATCH (n) RETURN n", { a: 2 }));
+  });
+});
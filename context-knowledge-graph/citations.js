@@ -0,0 +1,123 @@
+// citations.js
+// Provenance for answers: result rows → numbered sources → cited references.
+//
+// Rows that carry a message id (Post, Comment, Solution, Report) or a
+// thread_url are resolved to their thread, author, forum and text. The answer
+// prompt sees each row with its `ref` number and cites it inline as [n].
+
+import { runCypherReadOnly } from "./neo4jClient.js";
+
+const SNIPPET_LENGTH = 200;
+const ID_KEY = /(^|_)id$|Id$/;
+const URL_KEYS = ["thread_url", "url"];
+
+// ============================================================================
+// ROW REFERENCES
+// ============================================================================
+/**
+ * The message ids and thread URLs a result row points at
+ */
+function rowReference(row) {
+  let id = null;
+  let url = null;
+  for (const [key, value] of Object.entries(row)) {
+    const candidate = value?.properties ?? value;
+    if (!id && typeof candidate?.id === "string") id = candidate.id;
+    if (!id && ID_KEY.test(key) && typeof value === "string") id = value;
+    if (!url && URL_KEYS.includes(key) && typeof value === "string") url = value;
+    if (!url && typeof candidate?.thread_url === "string") url = candidate.thread_url;
+  }
+  return { id, url };
+}
+
+async function lookupMessages(ids) {
+  if (ids.length === 0) return new Map();
+  const rows = await runCypherReadOnly(`
+    UNWIND $ids AS id
+    CALL {
+      WITH id MATCH (m:Post {id: id}) RETURN m
+      UNION WITH id MATCH (m:Comment {id: id}) RETURN m
+      UNION WITH id MATCH (:Solution {id: id})<-[:PROPOSES]-(m:Post|Comment) RETURN m
+      UNION WITH id MATCH (:Report {id: id})<-[:AS_REPORT]-(m:Post) RETURN m
+    }
+    MATCH (m)-[:IN_THREAD]->(t:Thread)
+    OPTIONAL MATCH (u:User)-[:AUTHORED]->(m)
+    RETURN id, t.title AS title, t.thread_url AS url, u.username AS author,
+           m.text AS text, coalesce(m.source, t.source) AS source
+  `, { ids });
+  return new Map(rows.map(row => [row.id, row]));
+}
+
+async function lookupThreads(urls) {
+  if (urls.length === 0) return new Map();
+  const rows = await runCypherReadOnly(`
+    MATCH (t:Thread) WHERE t.thread_url IN $urls
+    OPTIONAL MATCH (op:Post)-[:IN_THREAD]->(t) WHERE op.position = 0
+    OPTIONAL MATCH (u:User)-[:AUTHORED]->(op)
+    RETURN t.thread_url AS url, t.title AS title, u.username AS author,
+           op.text AS text, t.source AS source
+  `, { urls });
+  return new Map(rows.map(row => [row.url, row]));
+}
+
+// AnandTech titles are often missing; the URL slug reads well enough
+function titleFromUrl(url) {
+  const slug = (url || "").split("/").filter(Boolean).find(part => /[a-z]-[a-z]/i.test(part)) || url || "";
+  return slug.replace(/\.\d+$/, "").replace(/-/g, " ");
+}
+
+function trimSnippet(text) {
+  if (!text) return null;
+  const flat = text.replace(/\s+/g, " ").trim();
+  return flat.length > SNIPPET_LENGTH ? flat.slice(0, SNIPPET_LENGTH) + "…" : flat;
+}
+
+// ============================================================================
+// SOURCES
+// ============================================================================
+/**
+ * Number the distinct sources behind the rows.
+ * Returns { rows: rows with `ref`, sources: [{ ref, title, url, author, snippet, source, id }] }
+ */
+export async function numberSources(rows) {
+  const references = rows.map(rowReference);
+  const [messages, threads] = await Promise.all([
+    lookupMessages([...new Set(references.map(r => r.id).filter(Boolean))]).catch(() => new Map()),
+    lookupThreads([...new Set(references.map(r => r.url).filter(Boolean))]).catch(() => new Map())
+  ]);
+
+  const sources = [];
+  const refByKey = new Map();
+  const numbered = rows.map((row, i) => {
+    const { id, url } = references[i];
+    const found = (id && messages.get(id)) || (url && threads.get(url));
+    if (!found) return row;
+
+    const key = id && messages.has(id) ? `id:${id}` : `url:${url}`;
+    if (!refByKey.has(key)) {
+      refByKey.set(key, sources.length + 1);
+      sources.push({
+        ref: sources.length + 1,
+        id: id && messages.has(id) ? id : null,
+        title: found.title && found.title !== "unknown" ? found.title : titleFromUrl(found.url),
+        url: found.url,
+        author: found.author || null,
+        source: found.source || null,
+        snippet: row.snippet || trimSnippet(found.text)
+      });
+    }
+    return { ref: refByKey.get(key), ...row };
+  });
+
+  return { rows: numbered, sources };
+}
+
+/**
+ * Sources the answer cites as [n]; all of them when it cites none
+ */
+export function citedSources(answer, sources) {
+  const cited = new Set([...(answer || "").matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)]
+    .flatMap(([, refs]) => refs.split(",").map(Number)));
+  const used = sources.filter(s => cited.has(s.ref));
+  return used.length > 0 ? used : sources;
+}
@@ -0,0 +1,43 @@
+// csvReader.js
+// Reads forum CSV exports from disk (or an http(s) URL) into row objects
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import { parse } from "csv-parse/sync";
+
+/**
+ * Read a CSV file with a header row.
+ * Empty fields come back as null, matching LOAD CSV semantics.
+ */
+export async function readCsv(location) {
+  return (await readCsvWithChecksum(location)).rows;
+}
+
+/**
+ * Same as readCsv, plus a sha256 of the raw file content
+ */
+export async function readCsvWithChecksum(location) {
+  const content = /^https?:\/\//i.test(location)
+    ? await fetchText(location)
+    : await fs.readFile(location, "utf8");
+
+  const rows = parse(content, {
+    columns: true,
+    bom: true,
+    skip_empty_lines: true,
+    cast: (value) => (value === "" ? null : value),
+  });
+
+  return {
+    rows,
+    checksum: crypto.createHash("sha256").update(content).digest("hex"),
+  };
+}
+
+async function fetchText(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+  }
+  return response.text();
+}
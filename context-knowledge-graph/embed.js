@@ -0,0 +1,80 @@
+import neo4j from "neo4j-driver";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { EMBEDDING_TARGETS, getEmbeddingProvider } from "./embeddings.js";
+
+dotenv.config();
+
+const BATCH_SIZE = Number(process.env.EMBEDDING_BATCH_SIZE) || 64;
+
+async function main() {
+  const driver = neo4j.driver(
+    process.env.NEO4J_URI,
+    neo4j.auth.basic(process.env.NEO4J_USER, process.env.NEO4J_PASSWORD),
+    { disableLosslessIntegers: true }
+  );
+
+  const session = driver.session();
+  const provider = getEmbeddingProvider();
+
+  try {
+    console.log(`🧮 Embedding graph text with ${provider.name} (${provider.dimensions} dims)`);
+
+    for (const target of EMBEDDING_TARGETS) {
+      /* ======================================================
+         1. VECTOR INDEX
+      ====================================================== */
+      await session.run(`
+        CREATE VECTOR INDEX ${target.index} IF NOT EXISTS
+        FOR (n:${target.label}) ON (n.embedding)
+        OPTIONS {indexConfig: {
+          \`vector.dimensions\`: ${provider.dimensions},
+          \`vector.similarity_function\`: 'cosine'
+        }}
+      `);
+
+      /* ======================================================
+         2. EMBED NEW OR CHANGED TEXT
+         Skips nodes whose text hash and model are unchanged
+      ====================================================== */
+      const result = await session.run(`
+        MATCH (n:${target.label})
+        WHERE n.${target.property} IS NOT NULL
+        RETURN n.id AS id, n.${target.property} AS text,
+               n.embedding_hash AS hash, n.embedding_model AS model
+      `);
+
+      const pending = result.records
+        .map(r => r.toObject())
+        .map(row => ({ ...row, newHash: crypto.createHash("sha256").update(row.text).digest("hex") }))
+        .filter(row => row.hash !== row.newHash || row.model !== provider.name);
+
+      for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+        const batch = pending.slice(i, i + BATCH_SIZE);
+        const vectors = await provider.embed(batch.map(row => row.text));
+        await session.run(`
+          UNWIND $rows AS row
+          MATCH (n:${target.label} {id: row.id})
+          CALL db.create.setNodeVectorProperty(n, 'embedding', row.embedding)
+          SET n.embedding_hash = row.hash,
+              n.embedding_model = $model
+        `, {
+          rows: batch.map((row, j) => ({ id: row.id, hash: row.newHash, embedding: vectors[j] })),
+          model: provider.name
+        });
+      }
+
+      console.log(`  • ${target.label}: ${pending.length} embedded, ${result.records.length - pending.length} up to date`);
+    }
+
+    console.log("✅ Embeddings and vector indexes ready");
+
+  } catch (err) {
+    console.error("❌ Embedding failed:", err);
+  } finally {
+    await session.close();
+    await driver.close();
+  }
+}
+
+main();
@@ -0,0 +1,90 @@
+// embeddings.js
+// Pluggable text embedding providers.
+//
+// Every provider exposes { name, dimensions, embed(texts) → number[][] }.
+// EMBEDDING_PROVIDER selects one: "openai" (default) or "hash", a local,
+// deterministic feature-hashing model that needs no network (tests, offline).
+
+import crypto from "crypto";
+import OpenAI from "openai";
+import dotenv from "dotenv";
+import { tokenize } from "./issueClustering.js";
+
+dotenv.config();
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+function openaiProvider() {
+  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  const model = process.env.EMBEDDING_MODEL || "text-embedding-3-small";
+
+  return {
+    name: `openai:${model}`,
+    dimensions: Number(process.env.EMBEDDING_DIMENSIONS) || 1536,
+    async embed(texts) {
+      const response = await openai.embeddings.create({
+        model,
+        input: texts.map(t => (t || " ").slice(0, 8000)),
+        dimensions: this.dimensions
+      });
+      return response.data.map(d => d.embedding);
+    }
+  };
+}
+
+/**
+ * Unigrams and bigrams hashed into a fixed-size signed vector, L2-normalized.
+ * Same text → same vector on every machine.
+ */
+function hashProvider(dimensions = Number(process.env.EMBEDDING_DIMENSIONS) || 256) {
+  return {
+    name: `hash:${dimensions}`,
+    dimensions,
+    async embed(texts) {
+      return texts.map(text => {
+        const vector = new Array(dimensions).fill(0);
+        const tokens = tokenize(text);
+        const features = [...tokens, ...tokens.slice(1).map((t, i) => `${tokens[i]}_${t}`)];
+        for (const feature of features) {
+          const digest = crypto.createHash("md5").update(feature).digest();
+          const index = digest.readUInt32BE(0) % dimensions;
+          vector[index] += digest[4] & 1 ? 1 : -1;
+        }
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+        return vector.map(v => v / norm);
+      });
+    }
+  };
+}
+
+export const EMBEDDING_PROVIDERS = {
+  openai: openaiProvider,
+  hash: hashProvider
+};
+
+let defaultProvider = null;
+
+export function getEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER || "openai") {
+  const factory = EMBEDDING_PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown embedding provider "${name}" (available: ${Object.keys(EMBEDDING_PROVIDERS).join(", ")})`);
+  }
+  if (name === (process.env.EMBEDDING_PROVIDER || "openai")) {
+    defaultProvider ??= factory();
+    return defaultProvider;
+  }
+  return factory();
+}
+
+// ============================================================================
+// GRAPH TARGETS
+// ============================================================================
+// Which text property is embedded per label, the vector index over it and
+// the full-text index (created by the importer) over the same property
+export const EMBEDDING_TARGETS = [
+  { label: "Post", property: "text", index: "post_embedding", fulltextIndex: "post_text_fulltext" },
+  { label: "Comment", property: "text", index: "comment_embedding", fulltextIndex: "comment_text_fulltext" },
+  { label: "Solution", property: "content", index: "solution_embedding", fulltextIndex: "solution_content_fulltext" },
+  { label: "Report", property: "content", index: "report_embedding", fulltextIndex: null }
+];
@@ -0,0 +1,54 @@
+// embeddings.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { EMBEDDING_PROVIDERS, getEmbeddingProvider } from "./embeddings.js";
+
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+const norm = vector => Math.sqrt(dot(vector, vector));
+
+describe("hash embedding provider", () => {
+  const provider = EMBEDDING_PROVIDERS.hash(64);
+
+  it("returns one vector of the configured size per text", async () => {
+    const vectors = await provider.embed(["battery drains overnight", "fan noise after bios update"]);
+    assert.equal(vectors.length, 2);
+    assert.ok(vectors.every(v => v.length === 64));
+    assert.equal(provider.name, "hash:64");
+  });
+
+  it("is deterministic across calls and provider instances", async () => {
+    const text = "XPS 13 battery drains overnight in sleep";
+    const [first] = await provider.embed([text]);
+    const [second] = await EMBEDDING_PROVIDERS.hash(64).embed([text]);
+    assert.deepEqual(first, second);
+  });
+
+  it("L2-normalizes every vector", async () => {
+    const vectors = await provider.embed(["battery drains overnight", "a much longer text about the touchpad freezing after the latest driver update"]);
+    for (const vector of vectors) assert.ok(Math.abs(norm(vector) - 1) < 1e-9);
+  });
+
+  it("returns a zero vector for text without tokens", async () => {
+    const [vector] = await provider.embed([""]);
+    assert.ok(vector.every(v => v === 0));
+  });
+
+  it("places texts that share words closer than unrelated ones", async () => {
+    const [query, related, unrelated] = await provider.embed([
+      "battery drains overnight",
+      "my battery drains fast overnight in sleep mode",
+      "monitor flickers on the dock with displayport"
+    ]);
+    assert.ok(dot(query, related) > dot(query, unrelated));
+  });
+});
+
+describe("getEmbeddingProvider", () => {
+  it("builds providers by name", () => {
+    assert.match(getEmbeddingProvider("hash").name, /^hash:\d+$/);
+  });
+
+  it("rejects unknown providers", () => {
+    assert.throws(() => getEmbeddingProvider("word2vec"), /Unknown embedding provider "word2vec"/);
+  });
+});
@@ -0,0 +1,126 @@
+// eval/compare.js
+// Comparison report between two eval runs (baseline → candidate).
+//
+//   node eval/compare.js reports/eval/baseline.json reports/eval/tuned.json
+//
+// Prints a Markdown report and writes it next to the candidate run as
+// compare-<baseline>-vs-<candidate>.md. Exits non-zero when any case
+// regressed by more than --tolerance (default 0.05) on any score.
+
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+const METRICS = ["execution", "semantics", "results", "faithfulness"];
+
+function parseArgs(argv) {
+  const out = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) out[argv[i].slice(2)] = argv[++i];
+    else out.positional.push(argv[i]);
+  }
+  return out;
+}
+
+// Stub runs score the dataset's own reference queries (runs from before smokeTest was recorded carry llm: "stub")
+const isSmokeTest = run => Boolean(run.smokeTest) || run.llm === "stub";
+
+const fmt = value => (value === null || value === undefined ? "–" : String(value));
+
+function delta(before, after) {
+  if (typeof before !== "number" || typeof after !== "number") return null;
+  return Number((after - before).toFixed(3));
+}
+
+function signed(value) {
+  if (value === null) return "–";
+  return value > 0 ? `+${value}` : String(value);
+}
+
+/**
+ * { markdown, regressions } for two runs
+ */
+export function compareRuns(baseline, candidate, { tolerance = 0.05 } = {}) {
+  const lines = [`# Eval comparison: ${baseline.name} → ${candidate.name}`, ""];
+
+  const warnings = [];
+  if (baseline.dataset?.hash !== candidate.dataset?.hash) warnings.push("datasets differ");
+  if (baseline.graph !== candidate.graph) warnings.push(`fixture graphs differ (${baseline.graph} vs ${candidate.graph})`);
+  if (baseline.llm !== candidate.llm) warnings.push(`LLM modes differ (${baseline.llm} vs ${candidate.llm})`);
+  if (baseline.fewShotVersion !== candidate.fewShotVersion) {
+    warnings.push(`few-shot library v${baseline.fewShotVersion} vs v${candidate.fewShotVersion}`);
+  }
+  if (warnings.length > 0) lines.push(`> ⚠️ Not like for like: ${warnings.join("; ")}`, "");
+
+  const smokeTests = [["baseline", baseline], ["candidate", candidate]].filter(([, run]) => isSmokeTest(run)).map(([role]) => role);
+  if (smokeTests.length > 0) {
+    lines.push(`> ⚠️ Pipeline smoke test (${smokeTests.join(" and ")}): the stub LLM returns the reference queries, so scores do not measure the model`, "");
+  }
+
+  lines.push("| metric | baseline | candidate | Δ |", "| --- | --- | --- | --- |");
+  for (const key of [...METRICS, "avgMs", "promptTokens", "completionTokens"]) {
+    const before = baseline.summary[key];
+    const after = candidate.summary[key];
+    lines.push(`| ${key} | ${fmt(before)} | ${fmt(after)} | ${signed(delta(before, after))} |`);
+  }
+
+  const baseCases = new Map(baseline.cases.map(c => [c.id, c]));
+  const changes = [];
+  const regressions = [];
+  for (const after of candidate.cases) {
+    const before = baseCases.get(after.id);
+    if (!before) {
+      changes.push(`| ${after.id} | new case | ${METRICS.map(m => fmt(after.scores[m])).join(" / ")} |`);
+      continue;
+    }
+    const moved = METRICS
+      .map(metric => [metric, delta(before.scores[metric], after.scores[metric])])
+      .filter(([, d]) => d !== null && Math.abs(d) > tolerance);
+    if (moved.length === 0) continue;
+
+    const worse = moved.filter(([, d]) => d < 0);
+    if (worse.length > 0) regressions.push(after.id);
+    const summary = moved.map(([metric, d]) => `${metric} ${signed(d)}`).join(", ");
+    const methods = before.method === after.method ? after.method : `${before.method} → ${after.method}`;
+    changes.push(`| ${worse.length > 0 ? "🔻" : "🔺"} ${after.id} | ${summary} | ${methods} |`);
+  }
+  const removed = baseline.cases.filter(c => !candidate.cases.some(a => a.id === c.id)).map(c => c.id);
+
+  lines.push("", `## Changed cases (|Δ| > ${tolerance})`, "");
+  if (changes.length > 0) {
+    lines.push("| case | change | method |", "| --- | --- | --- |", ...changes);
+  } else {
+    lines.push("No case moved beyond the tolerance.");
+  }
+  if (removed.length > 0) lines.push("", `Not in the candidate run: ${removed.join(", ")}`);
+  lines.push("", regressions.length > 0
+    ? `**${regressions.length} regression(s):** ${regressions.join(", ")}`
+    : "**No regressions.**");
+
+  return { markdown: lines.join("\n") + "\n", regressions };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [baselineFile, candidateFile] = args.positional;
+  if (!baselineFile || !candidateFile) {
+    console.error("Usage: node eval/compare.js <baseline.json> <candidate.json> [--tolerance 0.05]");
+    process.exitCode = 2;
+    return;
+  }
+
+  const baseline = JSON.parse(fs.readFileSync(baselineFile, "utf8"));
+  const candidate = JSON.parse(fs.readFileSync(candidateFile, "utf8"));
+  const { markdown, regressions } = compareRuns(baseline, candidate, {
+    tolerance: args.tolerance !== undefined ? Number(args.tolerance) : 0.05
+  });
+
+  const out = path.join(path.dirname(candidateFile), `compare-${baseline.name}-vs-${candidate.name}.md`);
+  fs.writeFileSync(out, markdown);
+  console.log(markdown);
+  console.log(`💾 Report written to ${out}`);
+  if (regressions.length > 0) process.exitCode = 1;
+}
+
+// Run as a script, not when imported (tests)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) main();
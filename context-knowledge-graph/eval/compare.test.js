@@ -0,0 +1,74 @@
+// eval/compare.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { compareRuns } from "./compare.js";
+
+function run(name, cases, overrides = {}) {
+  return {
+    name,
+    llm: "replay",
+    dataset: { hash: "abc" },
+    graph: "100/200",
+    fewShotVersion: 1,
+    summary: { execution: 1, semantics: 0.9, results: 0.8, faithfulness: 1, avgMs: 10, promptTokens: 0, completionTokens: 0 },
+    cases: cases.map(([id, results, method = "cypher"]) => ({
+      id,
+      method,
+      scores: { execution: 1, semantics: 1, results, faithfulness: 1 }
+    })),
+    ...overrides
+  };
+}
+
+describe("compareRuns", () => {
+  it("reports no regressions for identical runs", () => {
+    const baseline = run("a", [["c1", 0.8]]);
+    const { markdown, regressions } = compareRuns(baseline, run("b", [["c1", 0.8]]));
+    assert.deepEqual(regressions, []);
+    assert.match(markdown, /No case moved beyond the tolerance/);
+    assert.match(markdown, /\*\*No regressions\.\*\*/);
+    assert.doesNotMatch(markdown, /Not like for like/);
+  });
+
+  it("lists cases that got worse beyond the tolerance as regressions", () => {
+    const baseline = run("a", [["c1", 0.8], ["c2", 0.5], ["c3", 0.5]]);
+    const candidate = run("b", [["c1", 0.5, "plan"], ["c2", 0.9], ["c3", 0.52]]);
+    const { markdown, regressions } = compareRuns(baseline, candidate);
+    assert.deepEqual(regressions, ["c1"]);
+    assert.match(markdown, /\| 🔻 c1 \| results -0\.3 \| cypher → plan \|/);
+    assert.match(markdown, /\| 🔺 c2 \| results \+0\.4 \| cypher \|/);
+    assert.doesNotMatch(markdown, /c3/);
+  });
+
+  it("honours a custom tolerance", () => {
+    const { regressions } = compareRuns(run("a", [["c1", 0.8]]), run("b", [["c1", 0.5]]), { tolerance: 0.5 });
+    assert.deepEqual(regressions, []);
+  });
+
+  it("notes new and removed cases", () => {
+    const { markdown } = compareRuns(run("a", [["c1", 1], ["gone", 1]]), run("b", [["c1", 1], ["fresh", 1]]));
+    assert.match(markdown, /\| fresh \| new case \|/);
+    assert.match(markdown, /Not in the candidate run: gone/);
+  });
+
+  it("warns when the runs are not like for like", () => {
+    const candidate = run("b", [["c1", 1]], { dataset: { hash: "def" }, graph: "90/200", llm: "live", fewShotVersion: 2 });
+    const { markdown } = compareRuns(run("a", [["c1", 1]]), candidate);
+    assert.match(markdown, /Not like for like: datasets differ; fixture graphs differ \(100\/200 vs 90\/200\); LLM modes differ \(replay vs live\); few-shot library v1 vs v2/);
+  });
+
+  it("labels stub runs as pipeline smoke tests", () => {
+    const { markdown } = compareRuns(run("a", [["c1", 1]]), run("b", [["c1", 1]], { llm: "stub", smokeTest: true }));
+    assert.match(markdown, /Pipeline smoke test \(candidate\): the stub LLM returns the reference queries/);
+    const legacy = compareRuns(run("a", [["c1", 1]], { llm: "stub" }), run("b", [["c1", 1]], { llm: "stub" })).markdown;
+    assert.match(legacy, /Pipeline smoke test \(baseline and candidate\)/);
+    assert.doesNotMatch(compareRuns(run("a", [["c1", 1]]), run("b", [["c1", 1]])).markdown, /smoke test/);
+  });
+
+  it("tabulates summary deltas", () => {
+    const candidate = run("b", [], { summary: { ...run("a", []).summary, results: 0.7, avgMs: 12 } });
+    const { markdown } = compareRuns(run("a", []), candidate);
+    assert.match(markdown, /\| results \| 0\.8 \| 0\.7 \| -0\.1 \|/);
+    assert.match(markdown, /\| avgMs \| 10 \| 12 \| \+2 \|/);
+  });
+});
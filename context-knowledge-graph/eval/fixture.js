@@ -0,0 +1,72 @@
+// eval/fixture.js
+// Builds the fixed eval graph from ../csv in the database NEO4J_URI points at:
+// import → KG build → hash embeddings (local and deterministic, no network).
+//
+//   node eval/fixture.js           refuses to touch a non-empty database
+//   node eval/fixture.js --reset   deletes everything in it first
+//
+// Point NEO4J_URI at a scratch database, never at the one the server uses.
+
+import { execFileSync } from "child_process";
+import path from "path";
+import { fileURLToPath } from "url";
+import neo4j from "neo4j-driver";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, "..");
+const CSV_DIR = path.join(ROOT, "..", "csv");
+const RESET = process.argv.includes("--reset");
+
+function step(script, args = [], env = {}) {
+  console.log(`\n▶️  node ${script} ${args.join(" ")}`);
+  execFileSync(process.execPath, [path.join(ROOT, script), ...args], {
+    cwd: ROOT,
+    stdio: "inherit",
+    env: { ...process.env, ...env }
+  });
+}
+
+async function main() {
+  const driver = neo4j.driver(
+    process.env.NEO4J_URI,
+    neo4j.auth.basic(process.env.NEO4J_USER, process.env.NEO4J_PASSWORD),
+    { disableLosslessIntegers: true }
+  );
+  const session = driver.session();
+
+  try {
+    const count = async () => (await session.run("MATCH (n) RETURN count(n) AS n")).records[0].get("n");
+
+    const existing = await count();
+    if (existing > 0 && !RESET) {
+      throw new Error(`${process.env.NEO4J_URI} already holds ${existing} nodes; rerun with --reset to wipe it`);
+    }
+    if (existing > 0) {
+      console.log(`🗑️  Deleting ${existing} nodes from ${process.env.NEO4J_URI}`);
+      await session.run("MATCH (n) CALL { WITH n DETACH DELETE n } IN TRANSACTIONS OF 1000 ROWS");
+    }
+
+    step("import.js", [CSV_DIR]);
+    step("buildKG.js");
+    step("embed.js", [], { EMBEDDING_PROVIDER: "hash" });
+
+    const result = await session.run(`
+      CALL { MATCH (n) RETURN count(n) AS nodes }
+      CALL { MATCH ()-[r]->() RETURN count(r) AS relationships }
+      RETURN nodes, relationships
+    `);
+    const record = result.records[0];
+    console.log(`\n✅ Eval fixture graph ready: ${record.get("nodes")}/${record.get("relationships")} (nodes/relationships)`);
+  } finally {
+    await session.close();
+    await driver.close();
+  }
+}
+
+main().catch(error => {
+  console.error("❌ Fixture build failed:", error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,213 @@
+// eval/run.js
+// Offline benchmark: every dataset question goes through answerUserQuery
+// end-to-end against the fixture graph, and is scored (see scoring.js).
+//
+//   node eval/run.js                       replay recorded LLM responses
+//   node eval/run.js --llm record          record missing responses (LLM_RECORD_PROVIDER)
+//   node eval/run.js --llm live            whatever LLM_PROVIDER is configured
+//   node eval/run.js --llm stub            pipeline smoke test, no recordings needed
+//   node eval/run.js --name tuned --only most-active-threads,accepted-fixes
+//
+// The stub answers with each case's own reference query, so a stub run only
+// shows that the pipeline works end to end; it is labelled as a smoke test
+// and its scores say nothing about the model.
+//
+// Runs are written to reports/eval/<name>.json; compare two with eval/compare.js.
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const args = parseArgs(process.argv.slice(2));
+const DATASET = args.dataset || path.join(__dirname, "dataset.json");
+const FIXTURES = args.fixtures || path.join(__dirname, "fixtures", "llm-responses.json");
+const OUT_DIR = args.out || path.join(__dirname, "..", "reports", "eval");
+const LLM_MODE = args.llm || "replay";
+const RUN_NAME = args.name || `${LLM_MODE}-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+const SMOKE_TEST = LLM_MODE === "stub";
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) continue;
+    const next = argv[i + 1];
+    out[argv[i].slice(2)] = next && !next.startsWith("--") ? argv[++i] : true;
+  }
+  return out;
+}
+
+// Must run before the pipeline modules (and scoring / stub, which import them)
+// load: several read their env at import time
+function configureEnvironment() {
+  // Every case is answered fresh, not from a cache warmed by an earlier case
+  process.env.CACHE_ENABLED = "false";
+  process.env.SESSION_STORE = "memory";
+  // The fixture graph is embedded with the local hash model (see fixture.js)
+  process.env.EMBEDDING_PROVIDER = "hash";
+
+  if (LLM_MODE === "replay" || LLM_MODE === "record") {
+    if (LLM_MODE === "replay" && !fs.existsSync(FIXTURES)) {
+      throw new Error(`No recorded responses at ${FIXTURES}; run with --llm record (needs a live LLM), or --llm stub for a pipeline smoke test`);
+    }
+    process.env.LLM_PROVIDER = "replay";
+    process.env.LLM_FIXTURES = FIXTURES;
+    process.env.LLM_REPLAY_MODE = LLM_MODE === "record" ? "record" : "replay";
+    // Route overrides would bypass the replay provider
+    for (const key of Object.keys(process.env)) {
+      if (key.startsWith("LLM_ROUTE_")) delete process.env[key];
+    }
+  } else if (LLM_MODE === "stub") {
+    process.env.LLM_PROVIDER = "stub";
+  } else if (LLM_MODE !== "live") {
+    throw new Error(`Unknown --llm mode "${LLM_MODE}" (replay, record, stub, live)`);
+  }
+}
+
+async function main() {
+  const datasetText = fs.readFileSync(DATASET, "utf8");
+  const dataset = JSON.parse(datasetText);
+  const only = args.only ? new Set(String(args.only).split(",")) : null;
+  const cases = dataset.cases.filter(c => !only || only.has(c.id));
+
+  configureEnvironment();
+  const { LLM_PROVIDERS } = await import("../llmClient.js");
+  if (LLM_MODE === "stub") {
+    const { createStubProvider } = await import("./stubLLM.js");
+    LLM_PROVIDERS.stub = createStubProvider(dataset.cases);
+  }
+  const { answerUserQuery } = await import("../queryUnderstanding.js");
+  const { runCypherReadOnly, closeDriver } = await import("../neo4jClient.js");
+  const { loadExamples } = await import("../fewShot.js");
+  const scoring = await import("./scoring.js");
+
+  try {
+    const [graph] = await runCypherReadOnly(`
+      CALL { MATCH (n) RETURN count(n) AS nodes }
+      CALL { MATCH ()-[r]->() RETURN count(r) AS relationships }
+      RETURN nodes, relationships
+    `);
+    console.log(`🧪 Eval "${RUN_NAME}": ${cases.length} cases, LLM ${LLM_MODE}, graph ${graph.nodes} nodes / ${graph.relationships} relationships`);
+    if (SMOKE_TEST) {
+      console.log("⚠️  Pipeline smoke test: the stub LLM returns the reference queries, scores do not measure the model");
+    }
+
+    const results = [];
+    for (const testCase of cases) {
+      results.push(await runCase(testCase, { answerUserQuery, runCypherReadOnly, scoring }));
+    }
+
+    const run = {
+      name: RUN_NAME,
+      startedAt: results[0]?.startedAt || new Date().toISOString(),
+      finishedAt: new Date().toISOString(),
+      llm: LLM_MODE,
+      smokeTest: SMOKE_TEST,
+      dataset: {
+        file: path.relative(process.cwd(), DATASET),
+        version: dataset.version,
+        hash: crypto.createHash("sha256").update(datasetText).digest("hex").slice(0, 12)
+      },
+      graph: `${graph.nodes}/${graph.relationships}`,
+      fewShotVersion: loadExamples().version,
+      summary: summarize(results, scoring.mean),
+      cases: results
+    };
+
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+    const file = path.join(OUT_DIR, `${RUN_NAME}.json`);
+    fs.writeFileSync(file, JSON.stringify(run, null, 2));
+
+    console.table(Object.fromEntries(results.map(r => [r.id, {
+      execution: r.scores.execution,
+      semantics: r.scores.semantics,
+      results: r.scores.results,
+      faithfulness: r.scores.faithfulness,
+      ms: r.ms
+    }])));
+    console.log(SMOKE_TEST ? "📊 Summary (smoke test):" : "📊 Summary:", run.summary);
+    console.log(`💾 Run written to ${file}`);
+  } finally {
+    await closeDriver();
+  }
+}
+
+async function runCase(testCase, { answerUserQuery, runCypherReadOnly, scoring }) {
+  const { scoreExecution, scoreFaithfulness, scoreResults, scoreSemantics } = scoring;
+  const startedAt = new Date().toISOString();
+  const started = Date.now();
+
+  let expected = null;
+  const reference = testCase.expect?.results?.reference;
+  if (reference) {
+    const rows = await runCypherReadOnly(reference);
+    expected = rows.map(row => row.key).filter(key => key !== null && key !== undefined);
+    if (testCase.expect.results.topK) expected = expected.slice(0, testCase.expect.results.topK);
+  }
+
+  let result;
+  try {
+    // A fresh session per case, so no case reads as a follow-up of another
+    result = await answerUserQuery(testCase.question, {
+      sessionId: `eval-${testCase.id}-${crypto.randomUUID()}`,
+      mode: testCase.mode
+    });
+  } catch (error) {
+    result = { error: error.message };
+  }
+
+  const execution = scoreExecution(result, testCase);
+  const semantics = scoreSemantics(result.generatedCypher || result.cypher, testCase.expect?.semantics);
+  const results = scoreResults(result.rows || [], expected, testCase);
+  const faithfulness = scoreFaithfulness(result, testCase);
+  const ms = Date.now() - started;
+
+  console.log(`  ${execution.score ? "✓" : "✗"} ${testCase.id} (${result.method || "cypher"}, ${ms}ms)`);
+
+  return {
+    id: testCase.id,
+    question: testCase.question,
+    tags: testCase.tags || [],
+    startedAt,
+    ms,
+    method: result.method || (result.error ? "error" : "cypher"),
+    cypher: result.cypher || null,
+    generatedCypher: result.generatedCypher || null,
+    fixedCypher: result.fixedCypher || null,
+    rowCount: result.resultCount ?? 0,
+    answer: result.answer || null,
+    error: result.error || null,
+    timings: result.timings || null,
+    usage: result.usage || null,
+    scores: {
+      execution: execution.score,
+      semantics: semantics.score,
+      results: results.score,
+      faithfulness: faithfulness.score
+    },
+    details: { execution, semantics, results, faithfulness }
+  };
+}
+
+function summarize(results, mean) {
+  const scores = key => results.map(r => r.scores[key]);
+  return {
+    cases: results.length,
+    execution: mean(scores("execution")),
+    semantics: mean(scores("semantics")),
+    results: mean(scores("results")),
+    faithfulness: mean(scores("faithfulness")),
+    avgMs: Math.round(results.reduce((sum, r) => sum + r.ms, 0) / (results.length || 1)),
+    promptTokens: results.reduce((sum, r) => sum + (r.usage?.promptTokens || 0), 0),
+    completionTokens: results.reduce((sum, r) => sum + (r.usage?.completionTokens || 0), 0)
+  };
+}
+
+main().catch(error => {
+  console.error("❌ Eval failed:", error.message);
+  process.exitCode = 1;
+});
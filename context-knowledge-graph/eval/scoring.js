@@ -0,0 +1,137 @@
+// eval/scoring.js
+// Scores one benchmark case from what answerUserQuery returned.
+//
+//   execution     the pipeline produced an answer from an executed query
+//   semantics     the generated Cypher uses the expected labels, relationships,
+//                 properties and clauses
+//   results       the rows cover the expected result set (precision / recall / F1)
+//   faithfulness  the answer's numbers and citations are backed by the rows
+//
+// Every score is 0..1, or null when the case has no expectation for it.
+
+import { analyzeCypher } from "../queryGuard.js";
+
+// The pipeline answered, but not from a query that ran
+const NOT_EXECUTED = ["rejected", "not-possible"];
+
+// ============================================================================
+// VALUES
+// ============================================================================
+/**
+ * Every scalar in a row (nested node properties included), as lowercase strings
+ */
+export function rowValues(row) {
+  const values = new Set();
+  const visit = value => {
+    if (value === null || value === undefined) return;
+    if (Array.isArray(value)) return value.forEach(visit);
+    if (typeof value === "object") return Object.values(value).forEach(visit);
+    values.add(String(value).toLowerCase());
+  };
+  visit(row);
+  return values;
+}
+
+const round = value => (value === null ? null : Number(value.toFixed(3)));
+
+// ============================================================================
+// SCORES
+// ============================================================================
+export function scoreExecution(result, testCase) {
+  if (result.error && !result.rejection) return { score: 0, reason: result.error };
+  if (testCase.expect?.notTracked) return { score: 1, reason: null };
+  if (NOT_EXECUTED.includes(result.method)) return { score: 0, reason: result.method };
+  return { score: 1, reason: null };
+}
+
+export function scoreSemantics(cypher, semantics) {
+  if (!semantics) return { score: null, failed: [] };
+  if (!cypher) return { score: 0, failed: ["no cypher"] };
+
+  const { text, labels, relTypes, properties } = analyzeCypher(cypher);
+  const checks = [
+    ...(semantics.labels || []).map(label => [`label ${label}`, labels.has(label)]),
+    ...(semantics.relationships || []).map(type => [`relationship ${type}`, relTypes.has(type)]),
+    ...(semantics.properties || []).map(property => [`property ${property}`, properties.has(property)])
+  ];
+  if (semantics.aggregation) checks.push(["aggregation", /\b(count|sum|avg|min|max|collect)\s*\(/i.test(text)]);
+  if (semantics.orderBy) checks.push(["ORDER BY", /\bORDER\s+BY\b/i.test(text)]);
+  if (semantics.fulltext) checks.push(["full-text index", /db\.index\.fulltext\.queryNodes/i.test(text)]);
+
+  const failed = checks.filter(([, ok]) => !ok).map(([name]) => name);
+  return { score: round(checks.length > 0 ? 1 - failed.length / checks.length : 1), failed };
+}
+
+/**
+ * expected: the reference set (already limited to topK). A row is relevant
+ * when it contains any expected value; recall counts expected values found.
+ */
+export function scoreResults(rows, expected, testCase) {
+  if (testCase.expect?.notTracked) {
+    const ok = rows.length === 0 || rows.some(row => rowValues(row).has("not_tracked"));
+    return { score: ok ? 1 : 0, precision: null, recall: null, expected: 0, returned: rows.length };
+  }
+  if (!expected) return { score: null, precision: null, recall: null, expected: null, returned: rows.length };
+
+  const wanted = new Set(expected.map(value => String(value).toLowerCase()));
+  const rowSets = rows.map(rowValues);
+  const found = [...wanted].filter(value => rowSets.some(set => set.has(value)));
+  const relevant = rowSets.filter(set => [...wanted].some(value => set.has(value)));
+
+  // An empty expected set is matched by returning nothing
+  if (wanted.size === 0) {
+    return { score: rows.length === 0 ? 1 : 0, precision: null, recall: null, expected: 0, returned: rows.length };
+  }
+  const precision = rows.length > 0 ? relevant.length / rows.length : 0;
+  const recall = found.length / wanted.size;
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  return {
+    score: round(f1),
+    precision: round(precision),
+    recall: round(recall),
+    expected: wanted.size,
+    returned: rows.length,
+    missing: [...wanted].filter(value => !found.includes(value)).slice(0, 5)
+  };
+}
+
+/**
+ * Numbers in the answer must occur in the rows, [n] markers must point at
+ * returned sources, and expect.answer.mustMention terms must appear
+ */
+export function scoreFaithfulness(result, testCase) {
+  const answer = result.answer || "";
+  if (!answer || result.error) return { score: null, unsupported: [], invalidCitations: [], missing: [] };
+
+  // Row values and their parts (years of dates, numbers inside titles), plus the row count
+  const rows = result.rows || [];
+  const values = new Set(rows.flatMap(row => [...rowValues(row)]).flatMap(v => [v, ...v.split(/[^a-z0-9.]+/)]));
+  values.add(String(rows.length));
+  const withoutMarkers = answer.replace(/\[\d+(?:\s*,\s*\d+)*\]/g, " ");
+  const numbers = [...new Set(withoutMarkers.match(/\b\d+(?:\.\d+)?\b/g) || [])];
+  const unsupported = numbers.filter(n => !values.has(n));
+
+  const refs = new Set((result.citations || []).map(c => c.ref));
+  const cited = [...answer.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)].flatMap(([, list]) => list.split(",").map(Number));
+  const invalidCitations = [...new Set(cited.filter(ref => !refs.has(ref)))];
+
+  const lowered = answer.toLowerCase();
+  const missing = (testCase.expect?.answer?.mustMention || []).filter(term => !lowered.includes(term.toLowerCase()));
+
+  const parts = [];
+  if (numbers.length > 0) parts.push(1 - unsupported.length / numbers.length);
+  if (cited.length > 0) parts.push(1 - invalidCitations.length / new Set(cited).size);
+  if (testCase.expect?.answer?.mustMention?.length) {
+    parts.push(1 - missing.length / testCase.expect.answer.mustMention.length);
+  }
+  const score = parts.length > 0 ? parts.reduce((sum, p) => sum + p, 0) / parts.length : 1;
+  return { score: round(score), unsupported, invalidCitations, missing };
+}
+
+/**
+ * Mean of the non-null values, or null
+ */
+export function mean(values) {
+  const present = values.filter(v => typeof v === "number");
+  return present.length > 0 ? round(present.reduce((sum, v) => sum + v, 0) / present.length) : null;
+}
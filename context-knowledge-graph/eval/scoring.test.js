@@ -0,0 +1,139 @@
+// eval/scoring.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mean, rowValues, scoreExecution, scoreFaithfulness, scoreResults, scoreSemantics } from "./scoring.js";
+
+const CASE = { id: "most-active-threads", expect: {} };
+const NOT_TRACKED = { id: "sentiment", expect: { notTracked: true } };
+
+describe("rowValues", () => {
+  it("flattens nested values into lowercase strings", () => {
+    const values = rowValues({ title: "XPS 13", thread: { url: "https://X/1", tags: ["Battery", null] }, posts: 4 });
+    assert.deepEqual([...values].sort(), ["4", "battery", "https://x/1", "xps 13"]);
+  });
+});
+
+describe("scoreExecution", () => {
+  it("scores an executed answer 1 and errors 0", () => {
+    assert.equal(scoreExecution({ method: "cypher", rows: [] }, CASE).score, 1);
+    assert.deepEqual(scoreExecution({ error: "timeout" }, CASE), { score: 0, reason: "timeout" });
+  });
+
+  it("scores rejected and not-possible answers 0 unless the data is not tracked", () => {
+    assert.equal(scoreExecution({ method: "rejected", rejection: {}, error: "x" }, CASE).score, 0);
+    assert.equal(scoreExecution({ method: "not-possible" }, CASE).score, 0);
+    assert.equal(scoreExecution({ method: "not-possible" }, NOT_TRACKED).score, 1);
+  });
+});
+
+describe("scoreSemantics", () => {
+  const semantics = {
+    labels: ["Thread"],
+    relationships: ["IN_THREAD"],
+    properties: ["title"],
+    aggregation: true,
+    orderBy: true
+  };
+
+  it("scores a query that meets every expectation 1", () => {
+    const cypher = "MATCH (m)-[:IN_THREAD]->(t:Thread) RETURN t.title AS title, count(m) AS messages ORDER BY messages DESC";
+    assert.deepEqual(scoreSemantics(cypher, semantics), { score: 1, failed: [] });
+  });
+
+  it("lists the expectations a query misses", () => {
+    const result = scoreSemantics("MATCH (t:Thread) RETURN t.title AS title", semantics);
+    assert.equal(result.score, 0.4);
+    assert.deepEqual(result.failed, ["relationship IN_THREAD", "aggregation", "ORDER BY"]);
+  });
+
+  it("checks full-text index use", () => {
+    const cypher = "CALL db.index.fulltext.queryNodes('solution_content_fulltext', 'battery') YIELD node, score RETURN node.id AS key ORDER BY score DESC";
+    assert.equal(scoreSemantics(cypher, { fulltext: true, orderBy: true }).score, 1);
+    assert.deepEqual(scoreSemantics("MATCH (s:Solution) RETURN s", { fulltext: true }).failed, ["full-text index"]);
+  });
+
+  it("is null without expectations and 0 without a query", () => {
+    assert.equal(scoreSemantics("MATCH (n) RETURN n", undefined).score, null);
+    assert.deepEqual(scoreSemantics(null, semantics), { score: 0, failed: ["no cypher"] });
+  });
+});
+
+describe("scoreResults", () => {
+  it("is the F1 of row precision and expected-value recall", () => {
+    const rows = [{ key: "https://x/1" }, { key: "https://x/2" }, { key: "https://x/9" }, { key: "https://x/8" }];
+    const result = scoreResults(rows, ["https://x/1", "https://x/2", "https://x/3", "https://x/4"], CASE);
+    assert.equal(result.precision, 0.5);
+    assert.equal(result.recall, 0.5);
+    assert.equal(result.score, 0.5);
+    assert.deepEqual(result.missing, ["https://x/3", "https://x/4"]);
+  });
+
+  it("finds expected values under any column, case-insensitively", () => {
+    const rows = [{ thread: { url: "HTTPS://X/1" }, posts: 3 }];
+    assert.equal(scoreResults(rows, ["https://x/1"], CASE).score, 1);
+  });
+
+  it("scores no rows against a non-empty expectation 0", () => {
+    assert.equal(scoreResults([], ["https://x/1"], CASE).score, 0);
+  });
+
+  it("matches an empty expected set only with no rows", () => {
+    assert.equal(scoreResults([], [], CASE).score, 1);
+    assert.equal(scoreResults([{ key: "x" }], [], CASE).score, 0);
+  });
+
+  it("is null without a reference", () => {
+    assert.equal(scoreResults([{ key: "x" }], null, CASE).score, null);
+  });
+
+  it("accepts no rows or a not_tracked marker for untracked data", () => {
+    assert.equal(scoreResults([], null, NOT_TRACKED).score, 1);
+    assert.equal(scoreResults([{ status: "not_tracked" }], null, NOT_TRACKED).score, 1);
+    assert.equal(scoreResults([{ sentiment: "positive" }], null, NOT_TRACKED).score, 0);
+  });
+});
+
+describe("scoreFaithfulness", () => {
+  const rows = [
+    { title: "Battery drain on XPS 13", messages: 42, created_at: "2025-11-02" },
+    { title: "Fan noise", messages: 7, created_at: "2025-10-01" }
+  ];
+  const citations = [{ ref: 1 }, { ref: 2 }];
+
+  it("scores an answer backed by the rows 1", () => {
+    const answer = "2 threads stand out: Battery drain on XPS 13 with 42 messages [1] (since 2025) and Fan noise with 7 [2].";
+    assert.deepEqual(scoreFaithfulness({ answer, rows, citations }, CASE), {
+      score: 1, unsupported: [], invalidCitations: [], missing: []
+    });
+  });
+
+  it("flags numbers that are not in the rows", () => {
+    const result = scoreFaithfulness({ answer: "Battery drain has 42 messages and 100 views [1].", rows, citations }, CASE);
+    assert.deepEqual(result.unsupported, ["100"]);
+    assert.equal(result.score, 0.75);
+  });
+
+  it("flags citations of sources that were not returned", () => {
+    const result = scoreFaithfulness({ answer: "Battery drain [1] and fan noise [2, 5].", rows, citations }, CASE);
+    assert.deepEqual(result.invalidCitations, [5]);
+  });
+
+  it("checks the terms the answer must mention", () => {
+    const testCase = { expect: { answer: { mustMention: ["battery", "keyboard"] } } };
+    const result = scoreFaithfulness({ answer: "Battery drain leads.", rows, citations }, testCase);
+    assert.deepEqual(result.missing, ["keyboard"]);
+    assert.equal(result.score, 0.5);
+  });
+
+  it("is null without an answer or after an error", () => {
+    assert.equal(scoreFaithfulness({ answer: "", rows }, CASE).score, null);
+    assert.equal(scoreFaithfulness({ answer: "x", error: "failed" }, CASE).score, null);
+  });
+});
+
+describe("mean", () => {
+  it("averages the numeric values only", () => {
+    assert.equal(mean([1, null, 0.5, undefined]), 0.75);
+    assert.equal(mean([null]), null);
+  });
+});
@@ -0,0 +1,72 @@
+// eval/stubLLM.js
+// Deterministic stand-in LLM for offline runs without recorded responses.
+//
+// Cypher generation returns the case's stub.cypher (or its reference query),
+// plans are always one step, fixes return the query unchanged, and answers
+// restate the first rows with their [ref]. Scores from a stub run measure the
+// pipeline (guard, execution, fallbacks, citations, scoring), not the model.
+
+import { normalizeQuestion } from "../cache.js";
+
+const ANSWER_ROWS = 3;
+
+function lastMatch(text, pattern) {
+  return [...text.matchAll(pattern)].at(-1)?.[1] ?? null;
+}
+
+function stubAnswer(prompt) {
+  let rows = [];
+  try {
+    rows = JSON.parse(prompt.match(/DATA:\n([\s\S]*?)\n\nRULES:/)?.[1] || "[]");
+  } catch {
+    // Unparseable data reads as no data
+  }
+  if (rows.length === 0) return "No matching data was found.";
+
+  const lines = rows.slice(0, ANSWER_ROWS).map(row => {
+    const values = Object.entries(row)
+      .filter(([key, value]) => key !== "ref" && value !== null && typeof value !== "object")
+      .slice(0, 3)
+      .map(([key, value]) => `${key} ${String(value).slice(0, 80)}`);
+    return `${values.join(", ")}${row.ref ? ` [${row.ref}]` : ""}`;
+  });
+  return `Found ${rows.length} results. ${lines.join("; ")}.`;
+}
+
+/**
+ * Provider factory for llmClient's LLM_PROVIDERS, answering from the dataset's cases
+ */
+export function createStubProvider(cases) {
+  const byQuestion = new Map(cases.map(c => [normalizeQuestion(c.question), c]));
+
+  const respond = ({ task, prompt }) => {
+    switch (task) {
+      case "cypher": {
+        const question = lastMatch(prompt, /QUESTION: "([\s\S]*?)"\n/g) || "";
+        const testCase = byQuestion.get(normalizeQuestion(question));
+        const cypher = testCase?.stub?.cypher || testCase?.expect?.results?.reference;
+        return JSON.stringify(cypher
+          ? { cypher }
+          : { notPossible: true, reason: "The stub LLM has no query for this question." });
+      }
+      case "plan": {
+        const question = lastMatch(prompt, /QUESTION: "([\s\S]*?)"\n/g) || "";
+        return JSON.stringify({ steps: [{ goal: question }] });
+      }
+      case "fix":
+        return lastMatch(prompt, /FAILED QUERY:\n([\s\S]*?)\n\nERROR:/g) || "";
+      case "answer":
+        return stubAnswer(prompt);
+      default:
+        return "";
+    }
+  };
+
+  return () => ({
+    name: "stub",
+    models: { fast: "stub", strong: "stub" },
+    async complete(request) {
+      return { text: respond(request), usage: null };
+    }
+  });
+}
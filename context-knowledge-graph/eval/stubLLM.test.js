@@ -0,0 +1,73 @@
+// eval/stubLLM.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createStubProvider } from "./stubLLM.js";
+
+const CASES = [
+  {
+    id: "most-active-threads",
+    question: "Which threads have the most activity?",
+    expect: { results: { reference: "MATCH (m)-[:IN_THREAD]->(t:Thread) RETURN t.thread_url AS key, count(m) AS messages" } }
+  },
+  {
+    id: "posts-per-month",
+    question: "How many posts were written per month?",
+    stub: { cypher: "MATCH (p:Post) RETURN p.created_at.month AS month, count(p) AS posts" },
+    expect: { results: { reference: "MATCH (p:Post) RETURN p.created_at.month AS key" } }
+  }
+];
+
+const provider = createStubProvider(CASES)();
+const complete = async request => (await provider.complete(request)).text;
+
+describe("stub LLM provider", () => {
+  it("answers Cypher requests with the case's reference query", async () => {
+    const text = await complete({ task: "cypher", prompt: `SCHEMA...\n\nQUESTION: "which threads have the MOST activity"\n\nReturn JSON` });
+    assert.deepEqual(JSON.parse(text), { cypher: CASES[0].expect.results.reference });
+  });
+
+  it("prefers stub.cypher over the reference query", async () => {
+    const text = await complete({ task: "cypher", prompt: `QUESTION: "${CASES[1].question}"\n` });
+    assert.equal(JSON.parse(text).cypher, CASES[1].stub.cypher);
+  });
+
+  it("uses the last QUESTION in the prompt (examples come first)", async () => {
+    const prompt = `EXAMPLES:\nQUESTION: "${CASES[1].question}"\n\nQUESTION: "${CASES[0].question}"\n`;
+    assert.equal(JSON.parse(await complete({ task: "cypher", prompt })).cypher, CASES[0].expect.results.reference);
+  });
+
+  it("reports unknown questions as not possible", async () => {
+    const text = await complete({ task: "cypher", prompt: `QUESTION: "What is the weather?"\n` });
+    assert.equal(JSON.parse(text).notPossible, true);
+  });
+
+  it("plans a single step", async () => {
+    const text = await complete({ task: "plan", prompt: `QUESTION: "${CASES[0].question}"\n` });
+    assert.deepEqual(JSON.parse(text), { steps: [{ goal: CASES[0].question }] });
+  });
+
+  it("returns the failed query unchanged as the fix", async () => {
+    const prompt = "Fix this query.\n\nFAILED QUERY:\nMATCH (t:Thread) RETURN t\n\nERROR: boom";
+    assert.equal(await complete({ task: "fix", prompt }), "MATCH (t:Thread) RETURN t");
+  });
+
+  it("restates the first rows with their citations", async () => {
+    const rows = [
+      { ref: 1, title: "Battery drain", messages: 42, thread: { url: "x" } },
+      { ref: 2, title: "Fan noise", messages: 7 }
+    ];
+    const prompt = `QUESTION: "x"\n\nDATA:\n${JSON.stringify(rows, null, 2)}\n\nRULES:\n- cite`;
+    assert.equal(
+      await complete({ task: "answer", prompt }),
+      "Found 2 results. title Battery drain, messages 42 [1]; title Fan noise, messages 7 [2]."
+    );
+  });
+
+  it("says so when there is no data", async () => {
+    assert.equal(await complete({ task: "answer", prompt: "DATA:\n[]\n\nRULES:\n" }), "No matching data was found.");
+  });
+
+  it("reports no token usage", async () => {
+    assert.deepEqual(await provider.complete({ task: "plan", prompt: "" }), { text: JSON.stringify({ steps: [{ goal: "" }] }), usage: null });
+  });
+});
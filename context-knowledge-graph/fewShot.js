@@ -0,0 +1,103 @@
+// fewShot.js
+// Curated question → Cypher examples for the generation prompt.
+//
+// The library is a versioned JSON file (FEWSHOT_LIBRARY, default
+// ./examples/cypher-examples.json) seeded from the supported question types.
+// Queries rated good are promoted into it through the admin API; every change
+// bumps the library version and stamps the example with it. The examples whose
+// questions are most similar (TF-IDF cosine) to the asked one go in the prompt.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { cosine, tfidfProvider } from "./issueClustering.js";
+import { guardCypher } from "./queryGuard.js";
+import { cacheKey, normalizeQuestion } from "./cache.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LIBRARY_FILE = process.env.FEWSHOT_LIBRARY || path.join(__dirname, "examples", "cypher-examples.json");
+const EXAMPLE_COUNT = Number(process.env.FEWSHOT_EXAMPLES ?? 3);
+const MIN_SIMILARITY = 0.1;
+
+let library = null;
+
+// ============================================================================
+// LIBRARY
+// ============================================================================
+export function loadExamples() {
+  if (library) return library;
+  library = fs.existsSync(LIBRARY_FILE)
+    ? JSON.parse(fs.readFileSync(LIBRARY_FILE, "utf8"))
+    : { version: 0, updated_at: null, examples: [] };
+  return library;
+}
+
+function saveLibrary() {
+  library.version += 1;
+  library.updated_at = new Date().toISOString();
+  fs.mkdirSync(path.dirname(LIBRARY_FILE), { recursive: true });
+  fs.writeFileSync(LIBRARY_FILE, JSON.stringify(library, null, 2) + "\n");
+}
+
+/**
+ * Add a question → Cypher pair to the library. The Cypher must pass the query
+ * guard against `schema` (throws QueryRejectedError otherwise); an example for
+ * the same question is replaced.
+ */
+export function promoteExample({ question, cypher, tags = [], note = null }, schema) {
+  const safe = guardCypher(cypher, schema);
+  const lib = loadExamples();
+  const normalized = normalizeQuestion(question);
+  const replaced = lib.examples.find(e => normalizeQuestion(e.question) === normalized);
+
+  const example = {
+    id: replaced?.id || `ex_${cacheKey(normalized).slice(0, 10)}`,
+    question: question.trim(),
+    cypher: safe,
+    tags,
+    source: "promoted",
+    note,
+    version: lib.version + 1,
+    promoted_at: new Date().toISOString()
+  };
+  lib.examples = lib.examples.filter(e => e !== replaced).concat(example);
+  saveLibrary();
+  console.log(`🧩 Few-shot example ${replaced ? "updated" : "added"}: ${example.id} (library v${lib.version})`);
+  return example;
+}
+
+export function removeExample(id) {
+  const lib = loadExamples();
+  const before = lib.examples.length;
+  lib.examples = lib.examples.filter(e => e.id !== id);
+  if (lib.examples.length === before) return false;
+  saveLibrary();
+  return true;
+}
+
+// ============================================================================
+// RETRIEVAL
+// ============================================================================
+/**
+ * The k library examples closest to the question, most similar first
+ */
+export async function similarExamples(question, { k = EXAMPLE_COUNT } = {}) {
+  const { examples } = loadExamples();
+  if (k <= 0 || examples.length === 0) return [];
+
+  const [target, ...vectors] = await tfidfProvider.embed([question, ...examples.map(e => e.question)]);
+  return examples
+    .map((example, i) => ({ ...example, similarity: Number(cosine(target, vectors[i]).toFixed(3)) }))
+    .filter(example => example.similarity >= MIN_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k);
+}
+
+export function formatExamples(examples) {
+  if (examples.length === 0) return "";
+  let text = "EXAMPLES (similar questions and the Cypher that answered them well):\n";
+  for (const example of examples) {
+    text += `Q: "${example.question}"\n${example.cypher}\n\n`;
+  }
+  return text;
+}
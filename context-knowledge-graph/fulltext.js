@@ -0,0 +1,67 @@
+// fulltext.js
+// Helpers for Neo4j full-text (Lucene, BM25-scored) search.
+//
+// The importer creates the indexes; the query path uses these helpers to
+// build safe Lucene queries and to attach highlighted snippets to results.
+
+const SNIPPET_RADIUS = 90;
+
+/**
+ * Lucene query from plain terms: alphanumerics only, OR-ed, fuzzy-free
+ */
+export function luceneQuery(terms) {
+  return terms
+    .map(term => String(term).replace(/[^\p{L}\p{N}]+/gu, " ").trim())
+    .filter(Boolean)
+    .join(" OR ");
+}
+
+/**
+ * Terms passed to db.index.fulltext.queryNodes(...) in a generated query
+ */
+export function extractFulltextTerms(cypher) {
+  const terms = new Set();
+  const calls = (cypher || "").matchAll(/db\.index\.fulltext\.queryNodes\(\s*['"][^'"]+['"]\s*,\s*(['"])(.*?)\1/gi);
+  for (const [, , query] of calls) {
+    for (const term of query.split(/\s+|\bOR\b|\bAND\b|[()"~*^+-]/)) {
+      if (term.length >= 3 && !/^(OR|AND|NOT)$/.test(term)) terms.add(term.toLowerCase());
+    }
+  }
+  return [...terms];
+}
+
+/**
+ * Window of text around the first matched term, matches wrapped in **bold**
+ */
+export function highlightSnippet(text, terms) {
+  if (typeof text !== "string" || terms.length === 0) return null;
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+  const first = text.search(pattern);
+  if (first === -1) return null;
+
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SNIPPET_RADIUS);
+  const window = text.slice(start, end).replace(/\s+/g, " ").trim();
+  return `${start > 0 ? "…" : ""}${window.replace(pattern, "**$1**")}${end < text.length ? "…" : ""}`;
+}
+
+/**
+ * Add a `snippet` to each result row from its longest matching string value
+ */
+export function addSnippets(rows, terms) {
+  if (terms.length === 0) return rows;
+  return rows.map(row => {
+    const texts = Object.values(row)
+      .filter(v => typeof v === "string")
+      .sort((a, b) => b.length - a.length);
+    for (const text of texts) {
+      const snippet = highlightSnippet(text, terms);
+      if (snippet) return { ...row, snippet };
+    }
+    return row;
+  });
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -1,8 +1,39 @@
 import neo4j from "neo4j-driver";
 import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { CONSTRAINTS, FULLTEXT_INDEXES, KIND_ORDER, importKind, linkQuotes, loadSourceConfigs, run } from "./importer.js";
+import { buildThreadStructure } from "./threadStructure.js";
+import { ValidationError, validateSources, writeValidationOutput } from "./validator.js";
+import { RUN_CONSTRAINT, finishRun, lastSuccessfulRun, listRuns, rollbackRun, startRun } from "./importRuns.js";
 
 dotenv.config();
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// On/off flags never take a value, so `--incremental ../other_csv` keeps the path positional
+const BOOLEAN_FLAGS = new Set(["incremental", "runs", "strict", "validate-only"]);
+
+// CSV directory (or base URL) can be passed on the command line:
+//   node import.js ../csv --sources ./sources
+//   node import.js --incremental       only rows newer than the last completed run
+//   node import.js --runs              list recent import runs
+//   node import.js --rollback <runId>  delete the nodes a run created
+//   node import.js --strict            abort if validation finds any error
+//   node import.js --validate-only     write the validation report and stop
+const args = parseArgs(process.argv.slice(2));
+const CSV_DIR = args.positional[0] || path.join(__dirname, "..", "csv");
+const SOURCES_DIR = args.sources || path.join(__dirname, "sources");
+const BATCH_SIZE = Number(process.env.IMPORT_BATCH_SIZE) || 500;
+const INCREMENTAL = Boolean(args.incremental);
+const REPORTS_DIR = args.reports || path.join(__dirname, "reports");
+
+function csvPath(file) {
+  return /^https?:\/\//i.test(CSV_DIR)
+    ? `${CSV_DIR.replace(/\/$/, "")}/${file}`
+    : path.join(CSV_DIR, file);
+}
+
 async function main() {
   const driver = neo4j.driver(
     process.env.NEO4J_URI,
@@ -10,166 +41,91 @@ async function main() {
     { disableLosslessIntegers: true }
   );
 
+  let runId = null;
+  let files = [];
+
   try {
+    if (args.runs) {
+      console.table(await listRuns(driver));
+      return;
+    }
+
+    if (args.rollback) {
+      const deleted = await rollbackRun(driver, args.rollback);
+      console.log(`↩️  Rolled back ${args.rollback}: ${deleted} nodes deleted`);
+      return;
+    }
+
+    const configs = await loadSourceConfigs(SOURCES_DIR);
+    console.log(`📋 Loaded ${configs.length} source mappings from ${SOURCES_DIR}`);
+
+    /* ===============================
+       0. VALIDATION
+       Strict mode aborts on any error, lenient mode quarantines bad rows
+    =============================== */
+    const mode = args.strict ? "strict" : "lenient";
+    const validation = await validateSources(configs, { csvPath, mode });
+    const { reportPath, rejectsPath } = await writeValidationOutput(REPORTS_DIR, validation);
+    const { summary } = validation.report;
+    console.log(`🔎 Validation (${mode}): ${summary.rows} rows, ${summary.errors} errors, ${summary.warnings} warnings → ${reportPath}`);
+    if (rejectsPath) {
+      console.log(`🚧 ${summary.rejected} rows quarantined → ${rejectsPath}`);
+    }
+    if (mode === "strict" && summary.errors > 0) {
+      throw new ValidationError(validation.report);
+    }
+    if (args["validate-only"]) return;
+
     await driver.getServerInfo();
     console.log("✅ Connected to Neo4j");
+    console.log(`📂 Reading CSV files from ${CSV_DIR}`);
 
     /* ===============================
        1. CONSTRAINTS
     =============================== */
-    const constraints = [
-      "CREATE CONSTRAINT user_unique IF NOT EXISTS FOR (u:User) REQUIRE (u.username, u.source) IS UNIQUE",
-      "CREATE CONSTRAINT thread_unique IF NOT EXISTS FOR (t:Thread) REQUIRE t.thread_url IS UNIQUE",
-      "CREATE CONSTRAINT source_unique IF NOT EXISTS FOR (s:Source) REQUIRE s.name IS UNIQUE"
-    ];
-
     console.log("Constraints are created..")
 
-    for (const q of constraints) {
+    for (const q of [...CONSTRAINTS, RUN_CONSTRAINT]) {
+      await run(driver, q);
+    }
+
+    for (const q of FULLTEXT_INDEXES) {
       await run(driver, q);
     }
+    console.log("Full-text indexes are created")
+
+    const previous = INCREMENTAL ? await lastSuccessfulRun(driver) : null;
+    runId = await startRun(driver, INCREMENTAL ? "incremental" : "full");
+    console.log(`🏷️  Import run ${runId}` + (previous ? ` (since ${previous.id})` : ""));
 
     /* ===============================
        2. SOURCES
     =============================== */
     await run(driver, `
-      MERGE (:Source {name: 'dell_forums'})
-      MERGE (:Source {name: 'anandtech'})
-    `);
+      UNWIND $names AS name
+      MERGE (:Source {name: name})
+    `, { names: configs.map(c => c.source) });
 
     console.log("Sources are created")
 
+    /* ===============================
+       3-6. USERS, THREADS, POSTS, COMMENTS
+       Driven by the source mapping files
+    =============================== */
+    const quoteLinks = [];
+    for (const kind of KIND_ORDER) {
+      files.push(...await importKind(driver, configs, kind, {
+        csvPath,
+        batchSize: BATCH_SIZE,
+        runId,
+        previous,
+        quoteLinks,
+        rejects: validation.rejects
+      }));
+    }
+    await linkQuotes(driver, quoteLinks, BATCH_SIZE);
+    await buildThreadStructure(driver);
 
-    // ===============================
-    // USERS — DELL FORUM
-    // ===============================
-    await run(driver, `
-  LOAD CSV WITH HEADERS FROM
-  'https://raw.githubusercontent.com/atharv-ship-it/neo4j-csv-import/refs/heads/main/csv/users_dell_forum.csv'
-  AS row
-  MERGE (u:User {
-    username: row.username,
-    source: 'dell_forums'
-  })
-`);
-  console.log("Dell Forum users are created")
-
-    // ===============================
-    // USERS — ANANDTECH FORUM
-    // ===============================
-    await run(driver, `
-  LOAD CSV WITH HEADERS FROM
-  'https://raw.githubusercontent.com/atharv-ship-it/neo4j-csv-import/refs/heads/main/csv/anandtech_users.csv'
-  AS row
-  MERGE (u:User {
-    username: row.username,
-    source: 'anandtech'
-  })
-`);
-  console.log("AnandTech users are created")
-    // =============
-    // THREADS
-    // =============
-
-    // DELL THREADS
-    await run(driver, `
-  LOAD CSV WITH HEADERS FROM
-  'https://raw.githubusercontent.com/atharv-ship-it/neo4j-csv-import/refs/heads/main/csv/threads_dell_forum.csv'
-  AS row
-  MERGE (t:Thread {thread_url: row.thread_url})
-  SET t.title = row.thread_title,
-      t.type = coalesce(row.thread_type, 'discussion'),
-      t.source = 'dell_forums'
-`);
-  
-  console.log("Dell Forum threads are created")
-
-    // ANANDTECH THREADS
-    await run(driver, `
-  LOAD CSV WITH HEADERS FROM
-  'https://raw.githubusercontent.com/atharv-ship-it/neo4j-csv-import/refs/heads/main/csv/anandtech_threads.csv'
-  AS row
-  MERGE (t:Thread {thread_url: row.thread_url})
-  SET t.title = row.thread_title,
-      t.type = coalesce(row.thread_type, 'discussion'),
-      t.source = 'anandtech'
-`);
-
-  console.log("AnandTech threads are created")
-
-    // ==============================
-    //  5. POSTS (ORIGINAL POSTS)
-    // ==============================
-
-    // DELL FORUM
-    await run(driver, `
-      LOAD CSV WITH HEADERS FROM
-      'https://raw.githubusercontent.com/atharv-ship-it/neo4j-csv-import/refs/heads/main/csv/posts_dell_forum.csv'
-      AS row
-      MATCH (u:User {username: row.author, source: 'dell_forums'})
-      MATCH (t:Thread {thread_url: row.thread_url})
-      CREATE (p:Post {
-        text: row.text,
-        source: 'dell_forums'
-      })
-      MERGE (u)-[:AUTHORED]->(p)
-      MERGE (p)-[:IN_THREAD]->(t)
-    `);
-    console.log("Dell Forum posts are created")
-
-    // ANANDTECH
-    await run(driver, `
-      LOAD CSV WITH HEADERS FROM
-      'https://raw.githubusercontent.com/atharv-ship-it/neo4j-csv-import/refs/heads/main/csv/anandtech_posts.csv'
-      AS row
-      MATCH (u:User {username: row.author, source: 'anandtech'})
-      MATCH (t:Thread {thread_url: row.thread_url})
-      CREATE (p:Post {
-        text: row.text,
-        source: 'anandtech'
-      })
-      MERGE (u)-[:AUTHORED]->(p)
-      MERGE (p)-[:IN_THREAD]->(t)
-    `);
-
-    console.log("AnandTech posts are created")
-
-    // ====================
-    //  6. COMMENTS
-    // ====================
-
-    // DELL FORUM
-    await run(driver, `
-      LOAD CSV WITH HEADERS FROM
-      'https://raw.githubusercontent.com/atharv-ship-it/neo4j-csv-import/refs/heads/main/csv/comments_dell_forum.csv'
-      AS row
-      MATCH (u:User {username: row.comment_author, source: 'dell_forums'})
-      MATCH (t:Thread {thread_url: row.thread_url})
-      CREATE (c:Comment {
-        text: row.comment_text,
-        source: 'dell_forums'
-      })
-      MERGE (u)-[:AUTHORED]->(c)
-      MERGE (c)-[:IN_THREAD]->(t)
-    `);
-
-    console.log("Dell Forum comments are created")
-
-    // ANANDTECH
-    await run(driver, `
-      LOAD CSV WITH HEADERS FROM
-      'https://raw.githubusercontent.com/atharv-ship-it/neo4j-csv-import/refs/heads/main/csv/anandtech_comments.csv'
-      AS row
-      MATCH (u:User {username: row.comment_author, source: 'anandtech'})
-      MATCH (t:Thread {thread_url: row.thread_url})
-      CREATE (c:Comment {
-        text: row.comment_text,
-        source: 'anandtech'
-      })
-      MERGE (u)-[:AUTHORED]->(c)
-      MERGE (c)-[:IN_THREAD]->(t)
-    `);
-    console.log("AnandTech comments are created")
     /* ===============================
        7. THREAD → SOURCE
     =============================== */
@@ -179,22 +135,37 @@ async function main() {
       MERGE (t)-[:FROM_SOURCE]->(s)
     `);
 
+    await finishRun(driver, runId, files);
     console.log("🎉 Raw ingestion complete");
 
   } catch (err) {
-    console.error("❌ Import failed:", err);
+    console.error("❌ Import failed:", err instanceof ValidationError ? err.message : err);
+    process.exitCode = 1;
+    if (runId) {
+      await finishRun(driver, runId, files, "failed").catch(() => {});
+    }
   } finally {
     await driver.close();
   }
 }
 
-async function run(driver, query) {
-  const session = driver.session();
-  try {
-    return await session.run(query);
-  } finally {
-    await session.close();
+function parseArgs(argv) {
+  const parsed = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      const key = argv[i].slice(2);
+      const next = argv[i + 1];
+      if (!BOOLEAN_FLAGS.has(key) && next !== undefined && !next.startsWith("--")) {
+        parsed[key] = next;
+        i++;
+      } else {
+        parsed[key] = true;
+      }
+    } else {
+      parsed.positional.push(argv[i]);
+    }
   }
+  return parsed;
 }
 
-main();
\ No newline at end of file
+main();
@@ -0,0 +1,63 @@
+// import.test.js
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { promisify } from "util";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "import-cli-test-"));
+after(() => fs.rm(tmp, { recursive: true, force: true }));
+
+const csvDir = path.join(tmp, "csv");
+const sourcesDir = path.join(tmp, "sources");
+await fs.mkdir(csvDir);
+await fs.mkdir(sourcesDir);
+await fs.writeFile(path.join(csvDir, "users.csv"), "name\nann\n");
+await fs.writeFile(path.join(csvDir, "threads.csv"), "url,title\nhttps://a/1,Battery drain\n");
+await fs.writeFile(path.join(csvDir, "posts.csv"), "thread_url,author,text\nhttps://a/1,ann,My battery drains\nhttps://a/1,bob,Same here\n");
+await fs.writeFile(path.join(sourcesDir, "a.json"), JSON.stringify({
+  source: "a",
+  entities: [
+    { kind: "user", file: "users.csv", columns: { username: "name" } },
+    { kind: "thread", file: "threads.csv", columns: { thread_url: "url", title: "title" } },
+    { kind: "post", file: "posts.csv", columns: { thread_url: "thread_url", author: "author", text: "text" } }
+  ]
+}));
+
+// Validation never connects, so the CLI runs without a database
+function runImport(...args) {
+  return promisify(execFile)(process.execPath, [path.join(__dirname, "import.js"), ...args], {
+    cwd: tmp,
+    env: { ...process.env, NEO4J_URI: "bolt://localhost:7687", NEO4J_USER: "neo4j", NEO4J_PASSWORD: "unused" },
+    timeout: 30000
+  }).catch(err => err);
+}
+
+describe("import.js CLI", () => {
+  it("validates and stops with --validate-only, quarantining bad rows", async () => {
+    const reports = path.join(tmp, "reports-lenient");
+    const { stdout, code } = await runImport(csvDir, "--sources", sourcesDir, "--reports", reports, "--validate-only");
+
+    assert.equal(code, undefined);
+    assert.match(stdout, /Validation \(lenient\): 4 rows, 1 errors/);
+    assert.match(stdout, /1 rows quarantined/);
+    const files = (await fs.readdir(reports)).sort();
+    assert.equal(files.length, 2);
+    assert.match(files[0], /^rejects-.*\.jsonl$/);
+    assert.match(files[1], /^validation-.*\.json$/);
+  });
+
+  it("keeps the CSV directory positional after an on/off flag", async () => {
+    const reports = path.join(tmp, "reports-strict");
+    const { stdout, stderr, code } = await runImport("--strict", csvDir, "--sources", sourcesDir, "--reports", reports, "--validate-only");
+
+    assert.equal(code, 1);
+    assert.match(stdout, /Validation \(strict\): 4 rows, 1 errors/);
+    assert.match(stderr, /Import failed: Validation failed: 1 errors in 4 rows/);
+    assert.deepEqual((await fs.readdir(reports)).map(f => f.split("-")[0]), ["validation"]);
+  });
+});
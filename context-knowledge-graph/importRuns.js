@@ -0,0 +1,122 @@
+// importRuns.js
+// Tracks every import as an (:ImportRun) node so incremental imports know
+// where the last successful run stopped, and bad batches can be audited
+// through (n)-[:CREATED_IN]->(:ImportRun) and rolled back by their
+// import_run stamp.
+
+import crypto from "crypto";
+import { run } from "./importer.js";
+
+// Labels whose nodes are stamped with the run that created them
+export const TRACKED_LABELS = ["User", "Thread", "Post", "Comment"];
+
+export const RUN_CONSTRAINT =
+  "CREATE CONSTRAINT import_run_unique IF NOT EXISTS FOR (r:ImportRun) REQUIRE r.id IS UNIQUE";
+
+/**
+ * Create a running ImportRun node and return its id
+ */
+export async function startRun(driver, mode) {
+  const id = `run_${new Date().toISOString().replace(/[-:.TZ]/g, "")}_${crypto.randomBytes(3).toString("hex")}`;
+  await run(driver, `
+    CREATE (:ImportRun {
+      id: $id,
+      mode: $mode,
+      status: 'running',
+      started_at: datetime()
+    })
+  `, { id, mode });
+  return id;
+}
+
+/**
+ * Record per-file stats, link created nodes and mark the run as finished.
+ * Failed runs are linked too, so whatever they wrote can be rolled back.
+ */
+export async function finishRun(driver, runId, files, status = "completed") {
+  for (const label of TRACKED_LABELS) {
+    await run(driver, `
+      MATCH (r:ImportRun {id: $runId})
+      MATCH (n:${label} {import_run: $runId})
+      MERGE (n)-[:CREATED_IN]->(r)
+    `, { runId });
+  }
+
+  // Property lists cannot hold nulls, so missing watermarks are stored as ''
+  const checksums = files.map(f => f.checksum);
+  await run(driver, `
+    MATCH (r:ImportRun {id: $runId})
+    SET r.status = $status,
+        r.finished_at = datetime(),
+        r.files = $paths,
+        r.row_counts = $rowCounts,
+        r.checksums = $checksums,
+        r.watermarks = $watermarks,
+        r.checksum = $checksum
+  `, {
+    runId,
+    status,
+    paths: files.map(f => f.file),
+    rowCounts: files.map(f => f.rows),
+    checksums,
+    watermarks: files.map(f => f.watermark || ""),
+    checksum: crypto.createHash("sha256").update(checksums.join("")).digest("hex")
+  });
+}
+
+/**
+ * Per-file checksum and watermark of the most recent completed run
+ */
+export async function lastSuccessfulRun(driver) {
+  const result = await run(driver, `
+    MATCH (r:ImportRun {status: 'completed'})
+    RETURN r.id AS id, r.files AS files, r.checksums AS checksums, r.watermarks AS watermarks
+    ORDER BY r.finished_at DESC
+    LIMIT 1
+  `);
+  if (result.records.length === 0) return null;
+
+  const record = result.records[0].toObject();
+  const files = {};
+  (record.files || []).forEach((file, i) => {
+    files[file] = {
+      checksum: record.checksums?.[i] || null,
+      watermark: record.watermarks?.[i] || null
+    };
+  });
+  return { id: record.id, files };
+}
+
+/**
+ * Delete every node a run created and mark the run as rolled back. Nodes are
+ * found by their import_run stamp, so runs that died before finishRun linked
+ * them can be rolled back too.
+ */
+export async function rollbackRun(driver, runId) {
+  const result = await run(driver, `
+    MATCH (r:ImportRun {id: $runId})
+    OPTIONAL MATCH (n)
+    WHERE n.import_run = $runId
+    WITH r, collect(n) AS created
+    FOREACH (n IN created | DETACH DELETE n)
+    SET r.status = 'rolled_back',
+        r.rolled_back_at = datetime()
+    RETURN size(created) AS deleted
+  `, { runId });
+
+  if (result.records.length === 0) {
+    throw new Error(`Import run ${runId} not found`);
+  }
+  return result.records[0].get("deleted");
+}
+
+export async function listRuns(driver, limit = 20) {
+  const result = await run(driver, `
+    MATCH (r:ImportRun)
+    RETURN r.id AS id, r.mode AS mode, r.status AS status,
+           toString(r.started_at) AS started_at, r.files AS files, r.row_counts AS row_counts
+    ORDER BY r.started_at DESC
+    LIMIT toInteger($limit)
+  `, { limit });
+  return result.records.map(r => r.toObject());
+}
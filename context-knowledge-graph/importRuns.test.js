@@ -0,0 +1,52 @@
+// importRuns.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { TRACKED_LABELS, finishRun, rollbackRun } from "./importRuns.js";
+
+// Records every query; `records` is what each run() resolves with
+function fakeDriver(records = []) {
+  const calls = [];
+  return {
+    calls,
+    session: () => ({
+      run: async (query, params) => {
+        calls.push({ query, params });
+        return { records };
+      },
+      close: async () => {}
+    })
+  };
+}
+
+const files = [{ file: "posts.csv", rows: 2, checksum: "abc", watermark: null }];
+
+describe("finishRun", () => {
+  for (const status of ["completed", "failed"]) {
+    it(`links the nodes of a ${status} run to it`, async () => {
+      const driver = fakeDriver();
+      await finishRun(driver, "run_1", files, status);
+
+      const links = driver.calls.filter(c => c.query.includes("CREATED_IN"));
+      assert.equal(links.length, TRACKED_LABELS.length);
+      assert.ok(links.every(c => c.params.runId === "run_1"));
+      assert.equal(driver.calls.at(-1).params.status, status);
+      assert.deepEqual(driver.calls.at(-1).params.watermarks, [""]);
+    });
+  }
+});
+
+describe("rollbackRun", () => {
+  it("deletes nodes by their import_run stamp, linked or not", async () => {
+    const driver = fakeDriver([{ get: key => (key === "deleted" ? 7 : null) }]);
+    assert.equal(await rollbackRun(driver, "run_1"), 7);
+
+    const [{ query, params }] = driver.calls;
+    assert.match(query, /WHERE n\.import_run = \$runId/);
+    assert.doesNotMatch(query, /CREATED_IN/);
+    assert.deepEqual(params, { runId: "run_1" });
+  });
+
+  it("rejects unknown runs", async () => {
+    await assert.rejects(rollbackRun(fakeDriver(), "run_x"), /Import run run_x not found/);
+  });
+});
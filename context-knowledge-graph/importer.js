@@ -0,0 +1,361 @@
+// importer.js
+// Generic, config-driven ingestion of forum CSV exports.
+//
+// Each source is described by a JSON mapping file in sources/ that declares
+// which CSV file holds which entity kind and how its columns map onto the
+// canonical properties below. Adding a forum is a new mapping file, not new Cypher.
+// Extra metadata columns are declared under "properties" with a type and are
+// written as typed Neo4j values (DateTime, Integer, Boolean). A "textCleaner"
+// (see textCleaners.js) strips forum markup into `text`, keeping `raw_text`.
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import neo4j from "neo4j-driver";
+import { readCsvWithChecksum } from "./csvReader.js";
+import { getTextCleaner } from "./textCleaners.js";
+
+// ============================================================================
+// ENTITY KINDS
+// ============================================================================
+// Canonical fields per kind; every mapping must provide the required ones.
+// Kinds with a `key` get a deterministic `id` hashed from those fields, so
+// re-running the import MERGEs onto the same nodes instead of duplicating them.
+export const ENTITY_KINDS = {
+  user: {
+    required: ["username"],
+    query: `
+      UNWIND $rows AS row
+      WITH row WHERE row.username IS NOT NULL
+      MERGE (u:User {username: row.username, source: $source})
+      ON CREATE SET u.import_run = $runId
+    `
+  },
+  thread: {
+    required: ["thread_url"],
+    key: ["thread_url"],
+    query: `
+      UNWIND $rows AS row
+      MERGE (t:Thread {thread_url: row.thread_url})
+      ON CREATE SET t.import_run = $runId
+      SET t += row.props,
+          t.id = row.id,
+          t.title = row.title,
+          t.type = coalesce(row.type, 'discussion'),
+          t.source = $source
+    `
+  },
+  post: {
+    required: ["thread_url", "author", "text"],
+    key: ["thread_url", "author", "date", "text"],
+    query: `
+      UNWIND $rows AS row
+      MATCH (u:User {username: row.author, source: $source})
+      MATCH (t:Thread {thread_url: row.thread_url})
+      MERGE (p:Post {id: row.id})
+      ON CREATE SET p.import_run = $runId
+      SET p += row.props,
+          p.text = row.text,
+          p.raw_text = row.raw_text,
+          p.source = $source
+      MERGE (u)-[:AUTHORED]->(p)
+      MERGE (p)-[:IN_THREAD]->(t)
+    `
+  },
+  comment: {
+    required: ["thread_url", "author", "text"],
+    key: ["thread_url", "author", "date", "text"],
+    query: `
+      UNWIND $rows AS row
+      MATCH (u:User {username: row.author, source: $source})
+      MATCH (t:Thread {thread_url: row.thread_url})
+      MERGE (c:Comment {id: row.id})
+      ON CREATE SET c.import_run = $runId
+      SET c += row.props,
+          c.text = row.text,
+          c.raw_text = row.raw_text,
+          c.source = $source
+      MERGE (u)-[:AUTHORED]->(c)
+      MERGE (c)-[:IN_THREAD]->(t)
+    `
+  }
+};
+
+export const CONSTRAINTS = [
+  "CREATE CONSTRAINT user_unique IF NOT EXISTS FOR (u:User) REQUIRE (u.username, u.source) IS UNIQUE",
+  "CREATE CONSTRAINT thread_unique IF NOT EXISTS FOR (t:Thread) REQUIRE t.thread_url IS UNIQUE",
+  "CREATE CONSTRAINT source_unique IF NOT EXISTS FOR (s:Source) REQUIRE s.name IS UNIQUE",
+  "CREATE CONSTRAINT post_id_unique IF NOT EXISTS FOR (p:Post) REQUIRE p.id IS UNIQUE",
+  "CREATE CONSTRAINT comment_id_unique IF NOT EXISTS FOR (c:Comment) REQUIRE c.id IS UNIQUE"
+];
+
+// Full-text (Lucene/BM25) indexes used by keyword search in the query path.
+// Solution nodes come from buildKG.js; the index fills as they are created.
+export const FULLTEXT_INDEXES = [
+  "CREATE FULLTEXT INDEX thread_title_fulltext IF NOT EXISTS FOR (t:Thread) ON EACH [t.title]",
+  "CREATE FULLTEXT INDEX post_text_fulltext IF NOT EXISTS FOR (p:Post) ON EACH [p.text]",
+  "CREATE FULLTEXT INDEX comment_text_fulltext IF NOT EXISTS FOR (c:Comment) ON EACH [c.text]",
+  "CREATE FULLTEXT INDEX solution_content_fulltext IF NOT EXISTS FOR (s:Solution) ON EACH [s.content]"
+];
+
+// Resolves "X said:" quotes to the quoted message by the same author
+const QUOTES_QUERY = `
+  UNWIND $rows AS row
+  OPTIONAL MATCH (p:Post {id: row.id})
+  OPTIONAL MATCH (c:Comment {id: row.id})
+  WITH row, coalesce(p, c) AS m
+  WHERE m IS NOT NULL
+  UNWIND row.quotes AS q
+  MATCH (:User {username: q.author, source: row.source})-[:AUTHORED]->(target)
+  WHERE target.id <> row.id AND target.text CONTAINS q.snippet
+  MERGE (m)-[:QUOTES]->(target)
+`;
+
+// Users and threads must exist before the posts/comments that MATCH them
+export const KIND_ORDER = ["user", "thread", "post", "comment"];
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+/**
+ * Load and validate every *.json source mapping in a directory
+ */
+export async function loadSourceConfigs(dir) {
+  const files = (await fs.readdir(dir)).filter(f => f.endsWith(".json")).sort();
+  const configs = [];
+
+  for (const file of files) {
+    const config = JSON.parse(await fs.readFile(path.join(dir, file), "utf8"));
+    validateConfig(config, file);
+    configs.push(config);
+  }
+
+  return configs;
+}
+
+function validateConfig(config, file) {
+  if (!config.source) {
+    throw new Error(`${file}: missing "source"`);
+  }
+  getTextCleaner(config.textCleaner);
+  for (const entity of config.entities || []) {
+    getTextCleaner(entity.textCleaner || config.textCleaner);
+    const kind = ENTITY_KINDS[entity.kind];
+    if (!kind) {
+      throw new Error(`${file}: unknown entity kind "${entity.kind}"`);
+    }
+    if (!entity.file) {
+      throw new Error(`${file}: ${entity.kind} mapping has no "file"`);
+    }
+    const missing = kind.required.filter(field => !entity.columns?.[field]);
+    if (missing.length > 0) {
+      throw new Error(`${file}: ${entity.kind} mapping is missing columns for ${missing.join(", ")}`);
+    }
+    for (const [property, spec] of Object.entries(entity.properties || {})) {
+      if (!spec.column || !PROPERTY_TYPES[spec.type || "string"]) {
+        throw new Error(`${file}: ${entity.kind} property "${property}" needs a column and a known type`);
+      }
+    }
+  }
+}
+
+// ============================================================================
+// INGESTION
+// ============================================================================
+/**
+ * Rename CSV columns to canonical property names
+ */
+export function mapRow(row, columns) {
+  const mapped = {};
+  for (const [field, column] of Object.entries(columns)) {
+    mapped[field] = row[column] ?? null;
+  }
+  return mapped;
+}
+
+// ============================================================================
+// TYPED PROPERTIES
+// ============================================================================
+// Converters from raw CSV strings; each returns null for unparseable input
+export const PROPERTY_TYPES = {
+  string: (value) => value,
+  integer: toInteger,
+  boolean: toBoolean,
+  datetime: toDateTime
+};
+
+/**
+ * Build the typed property map for a row from a mapping's "properties"
+ */
+export function mapProperties(row, properties = {}) {
+  const props = {};
+  for (const [property, spec] of Object.entries(properties)) {
+    const raw = row[spec.column];
+    const value = raw == null ? null : PROPERTY_TYPES[spec.type || "string"](String(raw).trim());
+    if (value !== null) props[property] = value;
+  }
+  return props;
+}
+
+// "1,234" / "1.2K" / "3M" → Integer
+function toInteger(value) {
+  const match = value.replace(/,/g, "").match(/^(\d+(?:\.\d+)?)\s*([kKmM])?$/);
+  if (!match) return null;
+  const multiplier = { k: 1e3, m: 1e6 }[match[2]?.toLowerCase()] || 1;
+  return neo4j.int(Math.round(parseFloat(match[1]) * multiplier));
+}
+
+function toBoolean(value) {
+  const normalized = value.toLowerCase();
+  if (["true", "yes", "1", "y"].includes(normalized)) return true;
+  if (["false", "no", "0", "n"].includes(normalized)) return false;
+  return null;
+}
+
+// ISO timestamps without an offset are treated as UTC; free-form dates
+// such as "Jan 21, 2026" are normalized to midnight UTC of that day
+function toDateTime(value) {
+  let date;
+  if (/^\d{4}-\d{2}-\d{2}(T[\d:.]+)?$/.test(value)) {
+    date = new Date(value.includes("T") ? `${value}Z` : `${value}T00:00:00Z`);
+  } else if (/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    date = new Date(value);
+  } else {
+    const local = new Date(value);
+    date = new Date(Date.UTC(local.getFullYear(), local.getMonth(), local.getDate()));
+  }
+  if (isNaN(date)) return null;
+
+  return new neo4j.types.DateTime(
+    date.getUTCFullYear(),
+    date.getUTCMonth() + 1,
+    date.getUTCDate(),
+    date.getUTCHours(),
+    date.getUTCMinutes(),
+    date.getUTCSeconds(),
+    date.getUTCMilliseconds() * 1e6,
+    0
+  );
+}
+
+/**
+ * Deterministic id derived from node content (stable across re-imports)
+ */
+export function contentId(values) {
+  return crypto
+    .createHash("sha256")
+    .update(values.map(v => v ?? "").join("\u241f"))
+    .digest("hex")
+    .slice(0, 24);
+}
+
+/**
+ * Import one entity kind for every configured source.
+ *
+ * In incremental mode a file whose checksum matches the previous run is
+ * skipped, and rows whose `timestamp` column is not newer than the previous
+ * run's watermark for that file are filtered out. Rows quarantined by the
+ * validator (`rejects`: file → Set of row indexes) are never imported. Quotes
+ * found by the text cleaner are appended to `quoteLinks` for linkQuotes().
+ * Returns per-file stats.
+ */
+export async function importKind(driver, configs, kind, {
+  csvPath,
+  batchSize,
+  runId = null,
+  previous = null,
+  quoteLinks = [],
+  rejects = new Map()
+}) {
+  const stats = [];
+
+  for (const config of configs) {
+    for (const entity of config.entities.filter(e => e.kind === kind)) {
+      const label = `${config.displayName || config.source} ${kind}s`;
+      const { rows: csvRows, checksum } = await readCsvWithChecksum(csvPath(entity.file));
+      const last = previous?.files[entity.file];
+
+      if (last && last.checksum === checksum) {
+        console.log(`${label} unchanged since ${previous.id}, skipping`);
+        stats.push({ file: entity.file, rows: 0, checksum, watermark: last.watermark });
+        continue;
+      }
+
+      const rejected = rejects.get(entity.file);
+      const validRows = rejected ? csvRows.filter((_, i) => !rejected.has(i)) : csvRows;
+      const newRows = entity.timestamp && last?.watermark
+        ? validRows.filter(row => !row[entity.timestamp] || row[entity.timestamp] > last.watermark)
+        : validRows;
+
+      const { key } = ENTITY_KINDS[kind];
+      const cleaner = getTextCleaner(entity.textCleaner || config.textCleaner);
+      const rows = newRows.map(row => {
+        const mapped = mapRow(row, entity.columns);
+        mapped.props = mapProperties(row, entity.properties);
+        // Ids hash the raw values so cleaner changes never re-key nodes
+        if (key) mapped.id = contentId([config.source, ...key.map(field => mapped[field])]);
+        return cleanRow(mapped, cleaner, config.source, quoteLinks);
+      });
+      await runBatched(driver, ENTITY_KINDS[kind].query, rows, { source: config.source, runId }, batchSize);
+      console.log(`${label} are created (${rows.length} of ${csvRows.length} rows)`);
+
+      stats.push({
+        file: entity.file,
+        rows: rows.length,
+        checksum,
+        // Only ingested rows advance the watermark: quarantined rows stay eligible once fixed
+        watermark: maxTimestamp(newRows, entity.timestamp) || last?.watermark || null
+      });
+    }
+  }
+
+  return stats;
+}
+
+function cleanRow(row, cleaner, source, quoteLinks) {
+  if ("username" in row) row.username = cleaner.cleanName(row.username);
+  if ("author" in row) row.author = cleaner.cleanName(row.author);
+  if ("text" in row) {
+    const { text, quotes } = cleaner.cleanText(row.text);
+    row.raw_text = row.text;
+    row.text = text;
+    if (quotes.length > 0) quoteLinks.push({ id: row.id, source, quotes });
+  }
+  return row;
+}
+
+/**
+ * Create (message)-[:QUOTES]->(message) edges once every message exists
+ */
+export async function linkQuotes(driver, quoteLinks, batchSize = 500) {
+  await runBatched(driver, QUOTES_QUERY, quoteLinks, {}, batchSize);
+  console.log(`Quote links resolved (${quoteLinks.length} quoting messages)`);
+}
+
+function maxTimestamp(rows, column) {
+  if (!column) return null;
+  let max = null;
+  for (const row of rows) {
+    if (row[column] && (max === null || row[column] > max)) max = row[column];
+  }
+  return max;
+}
+
+export async function run(driver, query, params = {}) {
+  const session = driver.session();
+  try {
+    return await session.run(query, params);
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Run an UNWIND $rows query over the rows in fixed-size batches
+ */
+export async function runBatched(driver, query, rows, params = {}, batchSize = 500) {
+  for (let i = 0; i < rows.length; i += batchSize) {
+    await run(driver, query, { ...params, rows: rows.slice(i, i + batchSize) });
+  }
+  return rows.length;
+}
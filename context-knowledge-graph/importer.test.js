@@ -0,0 +1,202 @@
+// importer.test.js
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { contentId, importKind, loadSourceConfigs, mapProperties, mapRow, runBatched } from "./importer.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "importer-test-"));
+after(() => fs.rm(tmp, { recursive: true, force: true }));
+
+// Records every query instead of talking to Neo4j
+function fakeDriver() {
+  const calls = [];
+  return {
+    calls,
+    session: () => ({
+      run: async (query, params) => calls.push({ query, params }),
+      close: async () => {}
+    })
+  };
+}
+
+async function writeFiles(dir, files) {
+  await fs.mkdir(dir, { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    await fs.writeFile(path.join(dir, name), typeof content === "string" ? content : JSON.stringify(content));
+  }
+  return dir;
+}
+
+describe("loadSourceConfigs", () => {
+  it("loads the shipped source mappings", async () => {
+    const configs = await loadSourceConfigs(path.join(__dirname, "sources"));
+    assert.deepEqual(configs.map(c => c.source).sort(), ["anandtech", "dell_forums"]);
+  });
+
+  it("rejects mappings without a source, with unknown kinds or missing required columns", async () => {
+    const cases = [
+      [{ entities: [] }, /missing "source"/],
+      [{ source: "x", entities: [{ kind: "reply", file: "r.csv", columns: {} }] }, /unknown entity kind "reply"/],
+      [{ source: "x", entities: [{ kind: "user", columns: { username: "name" } }] }, /has no "file"/],
+      [{ source: "x", entities: [{ kind: "post", file: "p.csv", columns: { thread_url: "url" } }] }, /missing columns for author, text/]
+    ];
+    for (const [i, [config, error]] of cases.entries()) {
+      const dir = await writeFiles(path.join(tmp, `bad-${i}`), { "source.json": config });
+      await assert.rejects(loadSourceConfigs(dir), error);
+    }
+  });
+});
+
+describe("mapRow", () => {
+  it("renames CSV columns to canonical fields, missing columns as null", () => {
+    const row = { thread_title: "Fan noise", thread_url: "https://x/1", extra: "ignored" };
+    assert.deepEqual(
+      mapRow(row, { thread_url: "thread_url", title: "thread_title", type: "thread_type" }),
+      { thread_url: "https://x/1", title: "Fan noise", type: null }
+    );
+  });
+});
+
+describe("mapProperties", () => {
+  const spec = {
+    views: { column: "views", type: "integer" },
+    accepted: { column: "is_accepted", type: "boolean" },
+    created_at: { column: "date", type: "datetime" },
+    product: { column: "product" }
+  };
+
+  it("converts declared columns to typed values", () => {
+    const props = mapProperties({ views: "1.2K", is_accepted: "True", date: "2026-01-21T11:47:00", product: "XPS" }, spec);
+    assert.equal(props.views.toNumber(), 1200);
+    assert.equal(props.accepted, true);
+    assert.equal(props.created_at.toString(), "2026-01-21T11:47:00Z");
+    assert.equal(props.product, "XPS");
+  });
+
+  it("parses counts with separators and suffixes", () => {
+    const views = raw => mapProperties({ views: raw }, { views: spec.views }).views?.toNumber();
+    assert.equal(views("1,234"), 1234);
+    assert.equal(views("3M"), 3000000);
+    assert.equal(views("n/a"), undefined);
+  });
+
+  it("normalizes free-form dates to midnight UTC", () => {
+    assert.equal(mapProperties({ date: "Jan 21, 2026" }, spec).created_at.toString(), "2026-01-21T00:00:00Z");
+  });
+
+  it("leaves out empty and unparseable values", () => {
+    assert.deepEqual(mapProperties({ views: null, is_accepted: "maybe", date: "not a date" }, spec), {});
+  });
+});
+
+describe("runBatched", () => {
+  it("sends the rows in fixed-size batches with the shared params", async () => {
+    const driver = fakeDriver();
+    const rows = [1, 2, 3, 4, 5].map(n => ({ n }));
+    assert.equal(await runBatched(driver, "UNWIND $rows AS row RETURN row", rows, { source: "s" }, 2), 5);
+    assert.deepEqual(driver.calls.map(c => c.params.rows.length), [2, 2, 1]);
+    assert.ok(driver.calls.every(c => c.params.source === "s"));
+  });
+});
+
+describe("importKind", () => {
+  it("maps each configured file of a kind and tags rows with their source", async (t) => {
+    t.mock.method(console, "log", () => {});
+    const dir = await writeFiles(path.join(tmp, "csv"), {
+      "a_threads.csv": "thread_url,thread_title\nhttps://a/1,Battery drain\nhttps://a/2,Fan noise\n",
+      "b_threads.csv": "url,name\nhttps://b/1,Dock flicker\n"
+    });
+    const configs = [
+      { source: "a", entities: [{ kind: "thread", file: "a_threads.csv", columns: { thread_url: "thread_url", title: "thread_title" } }] },
+      { source: "b", entities: [{ kind: "thread", file: "b_threads.csv", columns: { thread_url: "url", title: "name" } }, { kind: "user", file: "missing.csv", columns: { username: "u" } }] }
+    ];
+    const driver = fakeDriver();
+
+    await importKind(driver, configs, "thread", { csvPath: file => path.join(dir, file), batchSize: 500 });
+
+    assert.deepEqual(driver.calls.map(c => c.params.source), ["a", "b"]);
+    assert.deepEqual(driver.calls[0].params.rows, [
+      { thread_url: "https://a/1", title: "Battery drain", props: {}, id: contentId(["a", "https://a/1"]) },
+      { thread_url: "https://a/2", title: "Fan noise", props: {}, id: contentId(["a", "https://a/2"]) }
+    ]);
+    assert.deepEqual(driver.calls[1].params.rows, [{ thread_url: "https://b/1", title: "Dock flicker", props: {}, id: contentId(["b", "https://b/1"]) }]);
+  });
+
+  it("gives messages the same ids on every import", async (t) => {
+    t.mock.method(console, "log", () => {});
+    const dir = await writeFiles(path.join(tmp, "posts"), {
+      "posts.csv": "thread_url,author,date,text\nhttps://a/1,ann,2026-01-01,My battery drains\nhttps://a/1,bob,2026-01-02,Same here\nhttps://a/1,ann,2026-01-01,My battery drains\n"
+    });
+    const configs = [{ source: "a", entities: [{ kind: "post", file: "posts.csv", columns: { thread_url: "thread_url", author: "author", date: "date", text: "text" } }] }];
+    const ids = async () => {
+      const driver = fakeDriver();
+      await importKind(driver, configs, "post", { csvPath: file => path.join(dir, file), batchSize: 500 });
+      return driver.calls[0].params.rows.map(row => row.id);
+    };
+
+    const first = await ids();
+    assert.deepEqual(await ids(), first);
+    // Identical rows collapse onto one id (the MERGE target); different content does not
+    assert.equal(first[0], first[2]);
+    assert.notEqual(first[0], first[1]);
+  });
+
+  it("skips quarantined rows and keeps them out of the watermark", async (t) => {
+    t.mock.method(console, "log", () => {});
+    const dir = await writeFiles(path.join(tmp, "incremental"), {
+      "posts.csv": "thread_url,author,text,scraped\nhttps://a/1,ann,old,2026-01-01\nhttps://a/1,ann,new,2026-01-03\nhttps://a/1,ghost,bad,2026-01-05\n"
+    });
+    const configs = [{ source: "a", entities: [{ kind: "post", file: "posts.csv", timestamp: "scraped", columns: { thread_url: "thread_url", author: "author", text: "text" } }] }];
+    const driver = fakeDriver();
+
+    const [stats] = await importKind(driver, configs, "post", {
+      csvPath: file => path.join(dir, file),
+      batchSize: 500,
+      previous: { id: "run_0", files: { "posts.csv": { checksum: "changed", watermark: "2026-01-02" } } },
+      rejects: new Map([["posts.csv", new Set([2])]])
+    });
+
+    assert.deepEqual(driver.calls[0].params.rows.map(row => row.text), ["new"]);
+    assert.equal(stats.rows, 1);
+    assert.equal(stats.watermark, "2026-01-03");
+  });
+
+  it("keeps the previous watermark when nothing new was ingested", async (t) => {
+    t.mock.method(console, "log", () => {});
+    const dir = await writeFiles(path.join(tmp, "quarantined"), {
+      "posts.csv": "thread_url,author,text,scraped\nhttps://a/1,ghost,bad,2026-01-05\n"
+    });
+    const configs = [{ source: "a", entities: [{ kind: "post", file: "posts.csv", timestamp: "scraped", columns: { thread_url: "thread_url", author: "author", text: "text" } }] }];
+
+    const [stats] = await importKind(fakeDriver(), configs, "post", {
+      csvPath: file => path.join(dir, file),
+      batchSize: 500,
+      previous: { id: "run_0", files: { "posts.csv": { checksum: "changed", watermark: "2026-01-02" } } },
+      rejects: new Map([["posts.csv", new Set([0])]])
+    });
+
+    assert.equal(stats.watermark, "2026-01-02");
+  });
+});
+
+describe("contentId", () => {
+  it("is a stable 24-character hash of the values", () => {
+    const id = contentId(["dell_forums", "https://x/1", "ann", "2026-01-01", "text"]);
+    assert.match(id, /^[0-9a-f]{24}$/);
+    assert.equal(contentId(["dell_forums", "https://x/1", "ann", "2026-01-01", "text"]), id);
+  });
+
+  it("separates sources and field boundaries", () => {
+    assert.notEqual(contentId(["a", "x"]), contentId(["b", "x"]));
+    assert.notEqual(contentId(["ab", "c"]), contentId(["a", "bc"]));
+  });
+
+  it("treats missing values as empty", () => {
+    assert.equal(contentId(["a", null]), contentId(["a", undefined]));
+    assert.equal(contentId(["a", null]), contentId(["a", ""]));
+  });
+});
@@ -0,0 +1,233 @@
+// issueClustering.js
+// Groups Reports into shared Issue nodes by text similarity.
+//
+// Reports from any thread or forum are vectorized (TF-IDF by default, or any
+// provider exposing `embed(texts)`), clustered greedily against running
+// centroids, and written as (Report)-[:MENTIONS]->(Issue). Issue ids are
+// carried over from the previous run by member overlap, so re-runs only
+// change the issues whose membership actually moved.
+
+import crypto from "crypto";
+
+const SIMILARITY_THRESHOLD = Number(process.env.ISSUE_SIMILARITY_THRESHOLD) || 0.3;
+const LABEL_TERMS = 4;
+
+const STOPWORDS = new Set(`
+a about above after again all also am an and any are as at be because been before being below between both but by
+can cannot could did do does doing down during each few for from further get got had has have having he her here hers
+him his how i if in into is it its itself just know like me more most my no nor not now of off on once only or other
+our out over own same she should so some such than that the their them then there these they this those through to too
+under until up very was we were what when where which while who whom why will with would you your yours im ive dont
+doesnt didnt cant wont thanks thank please help hi hello anyone one also still even really well much way need want
+tried trying try use used using get getting new any
+`.trim().split(/\s+/));
+
+// ============================================================================
+// VECTORIZATION
+// ============================================================================
+export function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, " ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter(token => token.length >= 3 && !STOPWORDS.has(token));
+}
+
+/**
+ * Local TF-IDF provider: sparse vectors as Map(term → weight), L2-normalized
+ */
+export const tfidfProvider = {
+  name: "tfidf",
+  async embed(texts) {
+    const docs = texts.map(tokenize);
+    const df = new Map();
+    for (const tokens of docs) {
+      for (const term of new Set(tokens)) df.set(term, (df.get(term) || 0) + 1);
+    }
+
+    return docs.map(tokens => {
+      const tf = new Map();
+      for (const term of tokens) tf.set(term, (tf.get(term) || 0) + 1);
+      const vector = new Map();
+      for (const [term, count] of tf) {
+        vector.set(term, (count / tokens.length) * Math.log((1 + docs.length) / (1 + df.get(term))));
+      }
+      return normalize(vector);
+    });
+  }
+};
+
+// Dense arrays from embedding providers are treated as Map(index → value)
+function toSparse(vector) {
+  return vector instanceof Map ? vector : normalize(new Map(vector.map((v, i) => [i, v])));
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (const value of vector.values()) norm += value * value;
+  norm = Math.sqrt(norm) || 1;
+  const out = new Map();
+  for (const [key, value] of vector) out.set(key, value / norm);
+  return out;
+}
+
+export function cosine(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [key, value] of small) {
+    const other = large.get(key);
+    if (other) dot += value * other;
+  }
+  return dot;
+}
+
+function addInto(target, vector) {
+  for (const [key, value] of vector) target.set(key, (target.get(key) || 0) + value);
+}
+
+// ============================================================================
+// CLUSTERING
+// ============================================================================
+/**
+ * Greedy centroid clustering in report-id order (deterministic).
+ * reports: [{ id, content }] → [{ members: [reportId], similarity: Map, terms }]
+ */
+export async function clusterReports(reports, { provider = tfidfProvider, threshold = SIMILARITY_THRESHOLD } = {}) {
+  const sorted = [...reports].sort((a, b) => a.id.localeCompare(b.id));
+  const texts = sorted.map(r => r.content);
+  const vectors = (await provider.embed(texts)).map(toSparse);
+  // Labels always come from TF-IDF terms, whatever the similarity provider
+  const termVectors = provider === tfidfProvider ? vectors : await tfidfProvider.embed(texts);
+  const clusters = [];
+
+  sorted.forEach((report, i) => {
+    let best = null;
+    let bestScore = threshold;
+    for (const cluster of clusters) {
+      const score = cosine(vectors[i], cluster.centroid);
+      if (score >= bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    }
+
+    if (!best) {
+      best = { members: [], sum: new Map(), centroid: new Map(), terms: new Map(), similarity: new Map() };
+      clusters.push(best);
+      bestScore = 1;
+    }
+    best.members.push(report.id);
+    best.similarity.set(report.id, bestScore);
+    addInto(best.sum, vectors[i]);
+    addInto(best.terms, termVectors[i]);
+    best.centroid = normalize(best.sum);
+  });
+
+  return clusters.map(cluster => ({
+    members: cluster.members,
+    similarity: cluster.similarity,
+    terms: [...cluster.terms.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, LABEL_TERMS)
+      .map(([term]) => term)
+  }));
+}
+
+/**
+ * Reuse previous issue ids by largest member overlap; each old id is
+ * claimed at most once (a split keeps the id on its larger half).
+ * previous: Map(issueId → Set(reportId))
+ */
+export function assignIssueIds(clusters, previous) {
+  const candidates = [];
+  clusters.forEach((cluster, index) => {
+    for (const [issueId, members] of previous) {
+      const overlap = cluster.members.filter(id => members.has(id)).length;
+      if (overlap > 0) candidates.push({ index, issueId, overlap });
+    }
+  });
+  candidates.sort((a, b) => b.overlap - a.overlap || a.issueId.localeCompare(b.issueId));
+
+  const ids = new Array(clusters.length).fill(null);
+  const claimed = new Set();
+  for (const { index, issueId } of candidates) {
+    if (ids[index] || claimed.has(issueId)) continue;
+    ids[index] = issueId;
+    claimed.add(issueId);
+  }
+
+  return clusters.map((cluster, index) => ({
+    ...cluster,
+    id: ids[index] || `iss_${crypto.createHash("sha256").update([...cluster.members].sort().join("|")).digest("hex").slice(0, 16)}`
+  }));
+}
+
+// ============================================================================
+// GRAPH
+// ============================================================================
+/**
+ * Re-cluster every Report and rewrite Issues and MENTIONS edges
+ */
+export async function buildIssueClusters(session, options = {}) {
+  const provider = options.provider || tfidfProvider;
+  const reports = (await session.run(`
+    MATCH (r:Report)
+    RETURN r.id AS id, r.content AS content
+  `)).records.map(r => r.toObject());
+
+  const previousRows = (await session.run(`
+    MATCH (r:Report)-[:MENTIONS]->(i:Issue)
+    RETURN i.id AS issueId, collect(r.id) AS members
+  `)).records.map(r => r.toObject());
+  const previous = new Map(previousRows.map(row => [row.issueId, new Set(row.members)]));
+
+  const clusters = assignIssueIds(await clusterReports(reports, { ...options, provider }), previous);
+
+  const issues = clusters.map(cluster => ({
+    id: cluster.id,
+    label: cluster.terms.join(" · ") || "unlabelled",
+    terms: cluster.terms,
+    members: cluster.members.map(id => ({ id, similarity: cluster.similarity.get(id) }))
+  }));
+
+  await session.run(`MATCH (:Report)-[m:MENTIONS]->(:Issue) DELETE m`);
+  await session.run(`
+    MATCH (i:Issue)
+    WHERE NOT i.id IN $ids
+    DETACH DELETE i
+  `, { ids: issues.map(i => i.id) });
+
+  await session.run(`
+    UNWIND $issues AS issue
+    MERGE (i:Issue {id: issue.id})
+    SET i.label = issue.label,
+        i.terms = issue.terms,
+        i.method = $method
+    WITH i, issue
+    UNWIND issue.members AS member
+    MATCH (r:Report {id: member.id})
+    MERGE (r)-[m:MENTIONS]->(i)
+    SET m.similarity = member.similarity
+  `, { issues, method: provider.name });
+
+  // Counts and provenance across threads and forums
+  await session.run(`
+    MATCH (i:Issue)<-[:MENTIONS]-(r:Report)
+    OPTIONAL MATCH (r)<-[:AS_REPORT]-(:Post)-[:IN_THREAD]->(t:Thread)
+    WITH i, count(DISTINCT r) AS members, count(DISTINCT t) AS threads
+    SET i.member_count = members,
+        i.report_count = members,
+        i.thread_count = threads
+  `);
+  await session.run(`
+    MATCH (i:Issue)<-[:MENTIONS]-(r:Report)
+    WITH i, r.source AS source, count(*) AS n
+    ORDER BY n DESC, source
+    WITH i, collect(source) AS sources
+    SET i.sources = sources,
+        i.source = sources[0]
+  `);
+
+  return issues.length;
+}
@@ -0,0 +1,72 @@
+// issueClustering.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { assignIssueIds, clusterReports, tfidfProvider, tokenize } from "./issueClustering.js";
+
+const reports = [
+  { id: "r1", content: "Battery drains overnight while the laptop sleeps" },
+  { id: "r2", content: "Dock monitor flickers after waking" },
+  { id: "r3", content: "Battery drains fast during sleep, lost 40 percent overnight" },
+  { id: "r4", content: "External monitor on the dock keeps flickering" }
+];
+
+describe("tokenize", () => {
+  it("lowercases, drops URLs, stopwords and short tokens", () => {
+    assert.deepEqual(tokenize("Hi, my XPS fan is LOUD https://x.com/a?b=1 ok"), ["xps", "fan", "loud"]);
+    assert.deepEqual(tokenize(null), []);
+  });
+});
+
+describe("tfidfProvider", () => {
+  it("returns L2-normalized sparse vectors", async () => {
+    const [vector] = await tfidfProvider.embed(["battery battery drain", "fan noise"]);
+    const norm = Math.sqrt([...vector.values()].reduce((n, v) => n + v * v, 0));
+    assert.ok(Math.abs(norm - 1) < 1e-9);
+    assert.ok(vector.get("battery") > vector.get("drain"));
+  });
+});
+
+describe("clusterReports", () => {
+  it("groups similar reports and labels clusters with their top terms", async () => {
+    const clusters = await clusterReports(reports, { threshold: 0.1 });
+    assert.deepEqual(clusters.map(c => c.members), [["r1", "r3"], ["r2", "r4"]]);
+    assert.equal(clusters[0].similarity.get("r1"), 1);
+    assert.ok(clusters[0].similarity.get("r3") >= 0.1);
+    assert.ok(clusters[0].terms.includes("battery"));
+    assert.ok(clusters[1].terms.includes("dock"));
+  });
+
+  it("is independent of input order", async () => {
+    const forward = await clusterReports(reports, { threshold: 0.1 });
+    const backward = await clusterReports([...reports].reverse(), { threshold: 0.1 });
+    assert.deepEqual(backward.map(c => c.members), forward.map(c => c.members));
+  });
+
+  it("keeps every report apart above the threshold", async () => {
+    const clusters = await clusterReports(reports, { threshold: 0.99 });
+    assert.equal(clusters.length, reports.length);
+  });
+
+  it("accepts dense vectors from other providers", async () => {
+    const provider = { embed: async texts => texts.map(text => (text.includes("Battery") ? [1, 0] : [0, 1])) };
+    const clusters = await clusterReports(reports, { provider, threshold: 0.5 });
+    assert.deepEqual(clusters.map(c => c.members), [["r1", "r3"], ["r2", "r4"]]);
+    assert.ok(clusters[0].terms.includes("battery"));
+  });
+});
+
+describe("assignIssueIds", () => {
+  it("keeps the previous id of the cluster with the largest overlap", () => {
+    const clusters = [{ members: ["r1", "r2"] }, { members: ["r3", "r4", "r5"] }];
+    const previous = new Map([["iss_old", new Set(["r1", "r3", "r4"])]]);
+    const [small, large] = assignIssueIds(clusters, previous);
+    assert.equal(large.id, "iss_old");
+    assert.match(small.id, /^iss_[0-9a-f]{16}$/);
+  });
+
+  it("derives new ids from the members so re-runs agree", () => {
+    const [a] = assignIssueIds([{ members: ["r2", "r1"] }], new Map());
+    const [b] = assignIssueIds([{ members: ["r1", "r2"] }], new Map());
+    assert.equal(a.id, b.id);
+  });
+});
@@ -1,34 +1,444 @@
 // llmClient.js
-import OpenAI from "openai";
+// Pluggable chat-completion providers behind a single callLLM().
+//
+// Every provider exposes { name, models: { fast, strong }, complete(request) → { text, usage } }
+// and optionally stream(request, onToken) → { text, usage } for incremental output;
+// usage is { promptTokens, completionTokens } or null when the backend doesn't report it.
+// LLM_PROVIDER picks the default backend; each task (cypher, fix, answer) is
+// routed to a model tier, and LLM_ROUTE_<TASK>="provider:model" overrides it.
+// The "replay" provider plays back recorded responses for offline runs.
+
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import OpenAI, { AzureOpenAI } from "openai";
 import dotenv from "dotenv";
+import { cacheKey, llmCache } from "./cache.js";
 
 dotenv.config();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SYSTEM_PROMPT = "You are a Neo4j expert. Generate queries using only the provided schema. Never invent properties or relationships.";
+const MAX_RETRIES = Number(process.env.LLM_MAX_RETRIES ?? 3);
+const RETRY_BASE_MS = Number(process.env.LLM_RETRY_BASE_MS) || 500;
 
-export async function callLLM(prompt, options = {}) {
-  try {
-    const response = await openai.chat.completions.create({
-      model: options.model || "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: "You are a Neo4j expert. Generate queries using only the provided schema. Never invent properties or relationships."
-        },
-        {
-          role: "user",
-          content: prompt
+// Model tier per task: query generation is cheap, the user-facing answer gets the stronger model
+const TASK_TIERS = {
+  cypher: "fast",
+  fix: "fast",
+  plan: "strong",
+  answer: "strong"
+};
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+function openaiChat(client) {
+  const body = ({ system, prompt, model, temperature, maxTokens }) => ({
+    model,
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content: prompt }
+    ],
+    temperature,
+    max_tokens: maxTokens
+  });
+
+  return {
+    async complete(request) {
+      const response = await client.chat.completions.create(body(request));
+      return { text: response.choices[0].message.content, usage: openaiUsage(response.usage) };
+    },
+    async stream(request, onToken) {
+      const stream = await client.chat.completions.create({
+        ...body(request),
+        stream: true,
+        stream_options: { include_usage: true }
+      });
+      let text = "";
+      let usage = null;
+      for await (const chunk of stream) {
+        const token = chunk.choices[0]?.delta?.content;
+        if (token) {
+          text += token;
+          onToken(token);
+        }
+        // The final chunk carries usage and no choices
+        if (chunk.usage) usage = openaiUsage(chunk.usage);
+      }
+      return { text, usage };
+    }
+  };
+}
+
+/**
+ * OpenAI, or any OpenAI-compatible server (vLLM, LM Studio, ...) via OPENAI_BASE_URL
+ */
+function openaiProvider() {
+  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, baseURL: process.env.OPENAI_BASE_URL });
+  return {
+    name: "openai",
+    models: {
+      fast: process.env.OPENAI_MODEL_FAST || "gpt-4o-mini",
+      strong: process.env.OPENAI_MODEL_STRONG || "gpt-4o"
+    },
+    ...openaiChat(client)
+  };
+}
+
+function openaiUsage(usage) {
+  return usage ? { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens } : null;
+}
+
+/**
+ * Azure OpenAI: models are deployment names
+ */
+function azureProvider() {
+  const client = new AzureOpenAI({
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || "2024-10-21"
+  });
+  const deployment = process.env.AZURE_OPENAI_DEPLOYMENT;
+  return {
+    name: "azure",
+    models: {
+      fast: process.env.AZURE_OPENAI_DEPLOYMENT_FAST || deployment,
+      strong: process.env.AZURE_OPENAI_DEPLOYMENT_STRONG || deployment
+    },
+    ...openaiChat(client)
+  };
+}
+
+/**
+ * Anthropic Messages API over plain HTTP
+ */
+function anthropicProvider() {
+  const model = process.env.ANTHROPIC_MODEL;
+  const url = `${process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com"}/v1/messages`;
+  const headers = {
+    "x-api-key": process.env.ANTHROPIC_API_KEY,
+    "anthropic-version": "2023-06-01"
+  };
+  const body = ({ system, prompt, model, temperature, maxTokens }) => ({
+    model,
+    system,
+    messages: [{ role: "user", content: prompt }],
+    temperature,
+    max_tokens: maxTokens
+  });
+
+  return {
+    name: "anthropic",
+    models: {
+      fast: process.env.ANTHROPIC_MODEL_FAST || model,
+      strong: process.env.ANTHROPIC_MODEL_STRONG || model
+    },
+    async complete(request) {
+      const data = await (await postJson(url, body(request), headers)).json();
+      return {
+        text: data.content.filter(block => block.type === "text").map(block => block.text).join(""),
+        usage: data.usage ? { promptTokens: data.usage.input_tokens, completionTokens: data.usage.output_tokens } : null
+      };
+    },
+    async stream(request, onToken) {
+      const response = await postJson(url, { ...body(request), stream: true }, headers);
+      let text = "";
+      const usage = { promptTokens: 0, completionTokens: 0 };
+      await readLines(response, line => {
+        if (!line.startsWith("data:")) return;
+        const event = JSON.parse(line.slice(5));
+        if (event.type === "content_block_delta" && event.delta?.text) {
+          text += event.delta.text;
+          onToken(event.delta.text);
+        }
+        // Input tokens arrive with message_start, the output count with message_delta
+        if (event.type === "message_start") usage.promptTokens = event.message?.usage?.input_tokens || 0;
+        if (event.type === "message_delta") usage.completionTokens = event.usage?.output_tokens || 0;
+      });
+      return { text, usage };
+    }
+  };
+}
+
+/**
+ * Local models served by Ollama
+ */
+function ollamaProvider() {
+  const model = process.env.OLLAMA_MODEL || "llama3.1";
+  const url = `${process.env.OLLAMA_HOST || "http://localhost:11434"}/api/chat`;
+  const body = ({ system, prompt, model, temperature, maxTokens }, stream) => ({
+    model,
+    stream,
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content: prompt }
+    ],
+    options: { temperature, num_predict: maxTokens }
+  });
+
+  return {
+    name: "ollama",
+    models: {
+      fast: process.env.OLLAMA_MODEL_FAST || model,
+      strong: process.env.OLLAMA_MODEL_STRONG || model
+    },
+    async complete(request) {
+      const data = await (await postJson(url, body(request, false))).json();
+      return { text: data.message.content, usage: ollamaUsage(data) };
+    },
+    async stream(request, onToken) {
+      const response = await postJson(url, body(request, true));
+      let text = "";
+      let usage = null;
+      await readLines(response, line => {
+        const data = JSON.parse(line);
+        const token = data.message?.content;
+        if (token) {
+          text += token;
+          onToken(token);
         }
-      ],
-      temperature: options.temperature || 0.1,
-      max_tokens: options.max_tokens || 1000,
-    });
-
-    return response.choices[0].message.content;
-  } catch (error) {
-    console.error("❌ LLM failed:", error.message);
+        if (data.done) usage = ollamaUsage(data);
+      });
+      return { text, usage };
+    }
+  };
+}
+
+function ollamaUsage(data) {
+  return data.eval_count !== undefined
+    ? { promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count }
+    : null;
+}
+
+/**
+ * Deterministic playback of recorded responses, keyed by a hash of the
+ * system + user prompt. LLM_REPLAY_MODE=record calls LLM_RECORD_PROVIDER
+ * (default openai) and stores what it returns; replay never hits the network.
+ */
+function replayProvider() {
+  const file = process.env.LLM_FIXTURES || path.join(__dirname, "fixtures", "llm-responses.json");
+  const recording = process.env.LLM_REPLAY_MODE === "record";
+  const fixtures = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  const upstream = recording ? createProvider(process.env.LLM_RECORD_PROVIDER || "openai") : null;
+
+  return {
+    name: "replay",
+    models: upstream ? upstream.models : { fast: "replay", strong: "replay" },
+    async complete(request) {
+      const key = fixtureKey(request);
+      if (fixtures[key] && !recording) return { text: fixtures[key].response, usage: null };
+      if (!recording) {
+        throw nonRetryable(`No recorded LLM response for ${request.task || "call"} (fixture ${key} in ${file})`);
+      }
+
+      const { text: response, usage } = await upstream.complete(request);
+      fixtures[key] = { task: request.task, prompt: request.prompt.slice(0, 200), response };
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(fixtures, null, 2));
+      return { text: response, usage };
+    },
+    // Recorded text is played back word by word
+    async stream(request, onToken) {
+      const result = await this.complete(request);
+      for (const token of result.text.match(/\S+\s*|\s+/g) || []) onToken(token);
+      return result;
+    }
+  };
+}
+
+export function fixtureKey({ system, prompt }) {
+  return crypto.createHash("sha256").update(`${system}␟${prompt}`).digest("hex").slice(0, 16);
+}
+
+export const LLM_PROVIDERS = {
+  openai: openaiProvider,
+  azure: azureProvider,
+  anthropic: anthropicProvider,
+  ollama: ollamaProvider,
+  replay: replayProvider
+};
+
+const providers = new Map();
+
+function createProvider(name) {
+  const factory = LLM_PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}" (available: ${Object.keys(LLM_PROVIDERS).join(", ")})`);
+  }
+  return factory();
+}
+
+export function getLLMProvider(name = process.env.LLM_PROVIDER || "openai") {
+  if (!providers.has(name)) providers.set(name, createProvider(name));
+  return providers.get(name);
+}
+
+// ============================================================================
+// ROUTING
+// ============================================================================
+/**
+ * Provider and model for a task. LLM_ROUTE_<TASK> accepts "provider:model"
+ * or a bare model name (Ollama tags like "llama3.1:8b" stay whole).
+ */
+export function resolveRoute(task, model) {
+  const route = process.env[`LLM_ROUTE_${(task || "").toUpperCase()}`];
+  let providerName = process.env.LLM_PROVIDER || "openai";
+  let routedModel = model;
+
+  if (!routedModel && route) {
+    const [prefix, ...rest] = route.split(":");
+    if (LLM_PROVIDERS[prefix] && rest.length > 0) {
+      providerName = prefix;
+      routedModel = rest.join(":");
+    } else {
+      routedModel = route;
+    }
+  }
+
+  const provider = getLLMProvider(providerName);
+  return { provider, model: routedModel || provider.models[TASK_TIERS[task] || "fast"] };
+}
+
+// ============================================================================
+// CALL
+// ============================================================================
+/**
+ * options: { task, model, system, temperature, max_tokens, onToken, cache }
+ * With onToken the response is streamed; the full text is still returned.
+ * Completions are cached per prompt unless cache is false.
+ */
+export async function callLLM(prompt, options = {}) {
+  const { provider, model } = resolveRoute(options.task, options.model);
+  const request = {
+    task: options.task,
+    system: options.system || SYSTEM_PROMPT,
+    prompt,
+    model,
+    temperature: options.temperature ?? 0.1,
+    maxTokens: options.max_tokens || 1000
+  };
+
+  const key = options.cache === false
+    ? null
+    : cacheKey(provider.name, model, request.system, prompt, request.temperature, request.maxTokens);
+  const cached = key && llmCache.get(key);
+  if (cached !== undefined && cached !== null) {
+    recordUsage(request, cached, null, true);
+    options.onToken?.(cached);
+    return cached;
+  }
+  const remember = ({ text, usage }) => {
+    recordUsage(request, text, usage, false);
+    if (key) llmCache.set(key, text);
+    return text;
+  };
+
+  // Once tokens reached the caller a retry would repeat them, so stop retrying
+  let streamed = false;
+  const onToken = options.onToken && (token => {
+    streamed = true;
+    options.onToken(token);
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if (!onToken) return remember(await provider.complete(request));
+      if (provider.stream) return remember(await provider.stream(request, onToken));
+      const result = await provider.complete(request);
+      onToken(result.text);
+      return remember(result);
+    } catch (error) {
+      if (attempt >= MAX_RETRIES || streamed || !isRetryable(error)) {
+        console.error(`❌ LLM failed (${provider.name}:${model}):`, error.message);
+        throw error;
+      }
+      const delay = RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_MS);
+      console.warn(`⚠️ LLM call failed (${error.message}), retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// ============================================================================
+// TOKEN USAGE
+// ============================================================================
+const usageScope = new AsyncLocalStorage();
+
+/**
+ * Run fn(), totalling the tokens of every LLM call made within it.
+ * Returns { result, usage }; backends that report no usage are estimated (≈ 4 chars/token).
+ */
+export async function trackUsage(fn) {
+  const usage = { calls: 0, cachedCalls: 0, promptTokens: 0, completionTokens: 0, estimated: false, byTask: {} };
+  const result = await usageScope.run(usage, fn);
+  return { result, usage };
+}
+
+function recordUsage(request, text, reported, cached) {
+  const usage = usageScope.getStore();
+  if (!usage) return;
+
+  const task = request.task || "other";
+  const perTask = usage.byTask[task] ||= { calls: 0, promptTokens: 0, completionTokens: 0 };
+  usage.calls++;
+  perTask.calls++;
+  // A cached completion costs nothing
+  if (cached) {
+    usage.cachedCalls++;
+    return;
+  }
+
+  const tokens = reported || {
+    promptTokens: Math.ceil((request.system.length + request.prompt.length) / 4),
+    completionTokens: Math.ceil((text || "").length / 4)
+  };
+  if (!reported) usage.estimated = true;
+  usage.promptTokens += tokens.promptTokens;
+  usage.completionTokens += tokens.completionTokens;
+  perTask.promptTokens += tokens.promptTokens;
+  perTask.completionTokens += tokens.completionTokens;
+}
+
+// Rate limits, server errors and network failures are worth another try
+function isRetryable(error) {
+  if (error.retryable === false) return false;
+  const status = error.status ?? error.response?.status;
+  if (status) return status === 408 || status === 409 || status === 429 || status >= 500;
+  return true;
+}
+
+function nonRetryable(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    const error = new Error(`${url} responded ${response.status}: ${(await response.text()).slice(0, 200)}`);
+    error.status = response.status;
     throw error;
   }
+  return response;
+}
+
+// Line-delimited streaming bodies (SSE, NDJSON)
+async function readLines(response, onLine) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.map(line => line.trim()).filter(Boolean).forEach(onLine);
+  }
+  if (buffer.trim()) onLine(buffer.trim());
 }
@@ -11,14 +11,22 @@ dotenv.config();
   }
 });
 
-const driver = neo4j.driver(
-  process.env.NEO4J_URI,
-  neo4j.auth.basic(
-    process.env.NEO4J_USER,
-    process.env.NEO4J_PASSWORD
-  ),
-  { disableLosslessIntegers: true }
-);
+// Created on first use, so modules (and tests) that never query can load without a database
+let driver = null;
+
+function getDriver() {
+  if (!driver) {
+    driver = neo4j.driver(
+      process.env.NEO4J_URI,
+      neo4j.auth.basic(
+        process.env.NEO4J_USER,
+        process.env.NEO4J_PASSWORD
+      ),
+      { disableLosslessIntegers: true }
+    );
+  }
+  return driver;
+}
 
 /**
  * Convert JavaScript types to Neo4j types
@@ -45,7 +53,7 @@ function convertToNeo4jTypes(params) {
  * Run a read/write Cypher query
  */
 export async function runCypher(query, params = {}) {
-  const session = driver.session();
+  const session = getDriver().session();
   try {
     // Convert params to Neo4j types
     const neo4jParams = convertToNeo4jTypes(params);
@@ -58,15 +66,15 @@ export async function runCypher(query, params = {}) {
 }
 
 /**
- * Run a read‑only Cypher query
+ * Run a read‑only Cypher query (txConfig: { timeout } in ms, metadata)
  */
-export async function runCypherReadOnly(query, params = {}) {
-  const session = driver.session({ defaultAccessMode: neo4j.session.READ });
+export async function runCypherReadOnly(query, params = {}, txConfig = {}) {
+  const session = getDriver().session({ defaultAccessMode: neo4j.session.READ });
   try {
     // Convert params to Neo4j types
     const neo4jParams = convertToNeo4jTypes(params);
     
-    const result = await session.executeRead((tx) => tx.run(query, neo4jParams));
+    const result = await session.executeRead((tx) => tx.run(query, neo4jParams), txConfig);
     return result.records.map((record) => record.toObject());
   } finally {
     await session.close();
@@ -77,5 +85,7 @@ export async function runCypherReadOnly(query, params = {}) {
  * Close the Neo4j driver (for graceful shutdown)
  */
 export async function closeDriver() {
+  if (!driver) return;
   await driver.close();
+  driver = null;
 }
@@ -0,0 +1,90 @@
+// planner.js
+// Multi-step query planning for questions one Cypher query can't answer.
+//
+// The LLM splits a question into ordered sub-queries; each step runs with the
+// rows of earlier steps available as $step1, $step2, ... parameters and in its
+// prompt. Every step is traced. A one-step plan means the question is simple
+// and the caller should use the single-shot path.
+
+import { callLLM } from "./llmClient.js";
+
+const MAX_STEPS = Number(process.env.PLANNER_MAX_STEPS) || 4;
+const FORWARD_ROWS = 50;
+const PROMPT_ROWS = 5;
+
+/**
+ * Ask the LLM for a plan: { steps: [{ index, goal }] }, or null if unusable
+ */
+export async function planQuestion(question, schemaPrompt, { maxSteps = MAX_STEPS } = {}) {
+  const prompt = `You plan Neo4j graph queries. Break the question into the fewest ordered sub-queries
+needed to answer it (at most ${maxSteps}). Each step must be answerable by ONE Cypher query over the
+schema below. Later steps can use the rows of earlier steps, available as parameters $step1, $step2, ...
+(lists of maps with the columns the earlier step returned).
+If a single query can answer the question, return exactly one step.
+
+${schemaPrompt}
+
+QUESTION: "${question}"
+
+Respond ONLY with JSON:
+{"steps": [{"goal": "what this query finds, naming the earlier steps it builds on"}]}`;
+
+  const response = await callLLM(prompt, { task: "plan", temperature: 0, max_tokens: 500 });
+
+  try {
+    const json = JSON.parse(response.match(/\{[\s\S]*\}/)?.[0] || "{}");
+    const steps = (json.steps || [])
+      .map(step => (typeof step === "string" ? step : step?.goal))
+      .filter(goal => typeof goal === "string" && goal.trim())
+      .slice(0, maxSteps)
+      .map((goal, i) => ({ index: i + 1, goal: goal.trim() }));
+    return steps.length > 0 ? { steps } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Prompt context describing the earlier steps' results
+ */
+export function describePreviousSteps(previous) {
+  if (previous.length === 0) return "";
+  let context = "EARLIER STEPS (their rows are available as Cypher parameters):\n";
+  for (const step of previous) {
+    context += `$step${step.index} - ${step.goal} - ${step.rows.length} rows`;
+    context += step.rows.length > 0
+      ? `, e.g. ${JSON.stringify(step.rows.slice(0, PROMPT_ROWS))}\n`
+      : "\n";
+  }
+  return context + "\n";
+}
+
+/**
+ * Run the steps in order. runStep(step, previous, params) → { cypher, rows, graph }.
+ * A failed step is traced and skipped; later steps see an empty $stepN.
+ */
+export async function executePlan(plan, { runStep, emit = () => {} }) {
+  const completed = [];
+  const trace = [];
+  const params = {};
+
+  for (const step of plan.steps) {
+    const started = Date.now();
+    let entry;
+    try {
+      const result = await runStep(step, completed, params);
+      completed.push({ ...step, ...result });
+      params[`step${step.index}`] = result.rows.slice(0, FORWARD_ROWS);
+      entry = { index: step.index, goal: step.goal, cypher: result.cypher, rowCount: result.rows.length };
+    } catch (err) {
+      console.warn(`⚠️ Plan step ${step.index} failed: ${err.message}`);
+      params[`step${step.index}`] = [];
+      entry = { index: step.index, goal: step.goal, cypher: err.cypher || null, rowCount: 0, error: err.message };
+    }
+    entry.ms = Date.now() - started;
+    trace.push(entry);
+    emit("step", entry);
+  }
+
+  return { steps: completed, trace };
+}
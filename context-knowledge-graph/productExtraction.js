@@ -0,0 +1,207 @@
+// productExtraction.js
+// Product catalog built from what people actually wrote.
+//
+// Family keywords (OptiPlex, XPS, Surface Laptop, ...) are found in thread
+// titles, URL slugs, the Dell `product` column and post/report text; the
+// model-like tokens that follow them ("9020", "16X Aurora AC16251",
+// "model 1943") become canonical Product nodes shared across forums:
+//   (Product)-[:VARIANT_OF]->(ProductFamily)
+
+// ============================================================================
+// CATALOG
+// ============================================================================
+// modelWords: non-numeric tokens that may still be part of a model name
+// fillerWords: tokens skipped between the family and the model ("model 1943")
+export const PRODUCT_FAMILIES = [
+  { name: "Alienware", brand: "Dell", pattern: /\balienware\b/gi, modelWords: ["aurora"] },
+  { name: "XPS", brand: "Dell", pattern: /\bxps(?=\s|\d|$)/gi },
+  { name: "Inspiron", brand: "Dell", pattern: /\binspiron\b/gi },
+  { name: "Latitude", brand: "Dell", pattern: /\blatitude\b/gi },
+  { name: "Precision", brand: "Dell", pattern: /\bprecision\b/gi },
+  { name: "Vostro", brand: "Dell", pattern: /\bvostro\b/gi },
+  { name: "OptiPlex", brand: "Dell", pattern: /\boptiplex\b/gi },
+  { name: "Chromebook", brand: "Dell", pattern: /\bchromebook\b/gi },
+  { name: "Surface Laptop", brand: "Microsoft", pattern: /\bsurface laptop\b/gi, modelWords: ["go"], fillerWords: ["model"] },
+  { name: "Surface Pro", brand: "Microsoft", pattern: /\bsurface pro\b/gi, fillerWords: ["model"] },
+  { name: "ThinkPad", brand: "Lenovo", pattern: /\bthinkpad\b/gi }
+];
+
+const MAX_MODEL_TOKENS = 3;
+const MAX_TOKEN_LENGTH = 10;
+
+// "12volt", "300W", "32GB" follow family names but are specs, not models
+const SPEC_TOKEN = /^\d+(\.\d+)?(v|volts?|w|watts?|gb|tb|mhz|ghz|hz|in|")$/i;
+
+// ============================================================================
+// EXTRACTION
+// ============================================================================
+/**
+ * Find product mentions in free text.
+ * Returns [{ id, name, model, familyId, family, brand }]; model is null
+ * when only the family was mentioned.
+ */
+export function extractProducts(text) {
+  if (!text) return [];
+  const found = new Map();
+
+  for (const family of PRODUCT_FAMILIES) {
+    for (const match of text.matchAll(family.pattern)) {
+      const model = readModel(text.slice(match.index + match[0].length), family);
+      const product = toProduct(family, model);
+      if (!found.has(product.id)) found.set(product.id, product);
+    }
+  }
+
+  return [...found.values()];
+}
+
+/**
+ * Mentions for a thread: title, URL slug, the forum's product column and
+ * the text of its posts. A bare product column ("Alienware") is prefixed to
+ * the title so "m16 R1, keyboard not working" resolves to Alienware M16 R1.
+ */
+export function extractThreadProducts({ title, url, product, texts = [] }) {
+  const slug = (url || "").split("/").filter(Boolean).slice(-2).join(" ").replace(/[-_.]/g, " ");
+  const titled = product && title && !title.toLowerCase().includes(product.toLowerCase())
+    ? `${product} ${title}`
+    : title;
+
+  const merged = new Map();
+  for (const source of [titled, slug, product, ...texts]) {
+    for (const mention of extractProducts(source)) {
+      merged.set(mention.id, mention);
+    }
+  }
+
+  // Drop the family-only entry when a concrete model of that family was found
+  const mentions = [...merged.values()];
+  return mentions.filter(m => m.model || !mentions.some(o => o.model && o.familyId === m.familyId));
+}
+
+function readModel(rest, family) {
+  const tokens = [];
+  const tokenPattern = /^[ \t]+([^\s,.;:!?()"“”]+)/;
+  let remaining = rest;
+  let match;
+
+  // "XPS13 9315": the digits glued to the family keyword start the model
+  const glued = rest.match(/^(\d{1,2})(?=\s|$)/);
+  if (glued) {
+    tokens.push(glued[1]);
+    remaining = rest.slice(glued[0].length);
+  }
+
+  while (tokens.length < MAX_MODEL_TOKENS && (match = remaining.match(tokenPattern))) {
+    const token = match[1];
+    const lower = token.toLowerCase();
+    remaining = remaining.slice(match[0].length);
+
+    if (tokens.length === 0 && family.fillerWords?.includes(lower)) continue;
+    if (token.length > MAX_TOKEN_LENGTH || SPEC_TOKEN.test(token)) break;
+    if (/\d/.test(token) || family.modelWords?.includes(lower)) {
+      tokens.push(token);
+    } else {
+      break;
+    }
+  }
+
+  // A trailing word like "Aurora" without a model number is not a model
+  while (tokens.length > 0 && !/\d/.test(tokens[tokens.length - 1])) tokens.pop();
+  return tokens.length > 0 ? tokens.map(formatToken).join(" ") : null;
+}
+
+function formatToken(token) {
+  return /^[a-z]{0,3}\d\w*$/i.test(token) ? token.toUpperCase() : token[0].toUpperCase() + token.slice(1).toLowerCase();
+}
+
+function slugify(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+}
+
+function toProduct(family, model) {
+  const familyId = `fam_${slugify(family.name)}`;
+  return {
+    id: model ? `prod_${slugify(`${family.name} ${model}`)}` : familyId,
+    name: model ? `${family.name} ${model}` : family.name,
+    model,
+    familyId,
+    family: family.name,
+    brand: family.brand
+  };
+}
+
+// ============================================================================
+// GRAPH
+// ============================================================================
+/**
+ * Rebuild the product catalog and its ABOUT_PRODUCT / ABOUT_FAMILY links
+ */
+export async function buildProductCatalog(session) {
+  // Legacy per-thread pseudo-products had no name
+  await session.run(`MATCH (p:Product) WHERE p.name IS NULL DETACH DELETE p`);
+  await session.run(`MATCH ()-[r:ABOUT_PRODUCT|ABOUT_FAMILY]->() DELETE r`);
+
+  const threads = await session.run(`
+    MATCH (t:Thread)
+    OPTIONAL MATCH (t)<-[:IN_THREAD]-(p:Post)
+    RETURN t.thread_url AS url, t.title AS title, t.product AS product,
+           t.source AS source, collect(p.text) AS texts
+  `);
+  const reports = await session.run(`
+    MATCH (r:Report)
+    RETURN r.id AS id, r.content AS content, r.source AS source
+  `);
+
+  const links = [];
+  for (const record of threads.records) {
+    const thread = record.toObject();
+    for (const mention of extractThreadProducts(thread)) {
+      links.push({ kind: "thread", key: thread.url, source: thread.source, ...mention });
+    }
+  }
+  for (const record of reports.records) {
+    const report = record.toObject();
+    for (const mention of extractProducts(report.content)) {
+      links.push({ kind: "report", key: report.id, source: report.source, ...mention });
+    }
+  }
+
+  await session.run(`
+    UNWIND $links AS l
+    MERGE (f:ProductFamily {id: l.familyId})
+    SET f.name = l.family,
+        f.brand = l.brand
+    WITH l, f
+    OPTIONAL MATCH (t:Thread {thread_url: l.key}) WHERE l.kind = 'thread'
+    OPTIONAL MATCH (r:Report {id: l.key}) WHERE l.kind = 'report'
+    WITH l, f, coalesce(t, r) AS n
+    WHERE n IS NOT NULL
+    MERGE (n)-[:ABOUT_FAMILY]->(f)
+    WITH l, f, n
+    WHERE l.model IS NOT NULL
+    MERGE (p:Product {id: l.id})
+    SET p.name = l.name,
+        p.model = l.model,
+        p.brand = l.brand
+    MERGE (p)-[:VARIANT_OF]->(f)
+    MERGE (n)-[:ABOUT_PRODUCT]->(p)
+  `, { links });
+
+  // Mention counts and the forums each product shows up in
+  await session.run(`
+    MATCH (p:Product)
+    OPTIONAL MATCH (p)<-[:ABOUT_PRODUCT]-(t:Thread)
+    WITH p, count(t) AS threads, collect(DISTINCT t.source) AS sources
+    SET p.thread_count = threads,
+        p.sources = sources
+  `);
+  await session.run(`
+    MATCH (f:ProductFamily)
+    OPTIONAL MATCH (f)<-[:ABOUT_FAMILY]-(t:Thread)
+    WITH f, count(t) AS threads, collect(DISTINCT t.source) AS sources
+    SET f.thread_count = threads,
+        f.sources = sources
+  `);
+
+  return links.length;
+}
@@ -0,0 +1,67 @@
+// productExtraction.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { extractProducts, extractThreadProducts } from "./productExtraction.js";
+
+const names = mentions => mentions.map(m => m.name);
+
+describe("extractProducts", () => {
+  it("builds canonical products under their family", () => {
+    assert.deepEqual(extractProducts("My XPS 13 9315 won't wake from sleep"), [{
+      id: "prod_xps_13_9315",
+      name: "XPS 13 9315",
+      model: "13 9315",
+      familyId: "fam_xps",
+      family: "XPS",
+      brand: "Dell"
+    }]);
+  });
+
+  it("reads models glued to the family keyword", () => {
+    assert.deepEqual(names(extractProducts("xps13 9315 fan noise")), ["XPS 13 9315"]);
+  });
+
+  it("keeps model words and skips filler words", () => {
+    assert.deepEqual(names(extractProducts("alienware 16x aurora ac16251 overheating")), ["Alienware 16X Aurora AC16251"]);
+    assert.deepEqual(names(extractProducts("Surface Laptop model 1943 battery")), ["Surface Laptop 1943"]);
+  });
+
+  it("falls back to the family when no model follows", () => {
+    const [mention] = extractProducts("OptiPlex 32GB upgrade");
+    assert.equal(mention.id, "fam_optiplex");
+    assert.equal(mention.model, null);
+    assert.deepEqual(names(extractProducts("Alienware Aurora case")), ["Alienware"]);
+  });
+
+  it("stops at punctuation and caps the model length", () => {
+    assert.deepEqual(names(extractProducts("Latitude 5420, 7490 and 3520")), ["Latitude 5420"]);
+    assert.deepEqual(names(extractProducts("Inspiron 15 3000 5000 7000")), ["Inspiron 15 3000 5000"]);
+  });
+
+  it("collapses repeated mentions and ignores empty text", () => {
+    assert.equal(extractProducts("OptiPlex 9020 vs optiplex 9020").length, 1);
+    assert.deepEqual(extractProducts(null), []);
+    assert.deepEqual(extractProducts("My laptop is slow"), []);
+  });
+});
+
+describe("extractThreadProducts", () => {
+  it("prefixes a bare product column to the title", () => {
+    const mentions = extractThreadProducts({ title: "m16 R1, keyboard not working", product: "Alienware" });
+    assert.deepEqual(names(mentions), ["Alienware M16 R1"]);
+  });
+
+  it("merges title, URL slug and post mentions", () => {
+    const mentions = extractThreadProducts({
+      title: "Dock flicker",
+      url: "https://forums.example.com/threads/latitude-7490-dock-flicker.123/",
+      texts: ["Same on my Precision 5570", null]
+    });
+    assert.deepEqual(names(mentions).sort(), ["Latitude 7490", "Precision 5570"]);
+  });
+
+  it("drops the family-only mention once a model of that family is known", () => {
+    const mentions = extractThreadProducts({ title: "ThinkPad won't charge", texts: ["ThinkPad T14 here"] });
+    assert.deepEqual(names(mentions), ["ThinkPad T14"]);
+  });
+});
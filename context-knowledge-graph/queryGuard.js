@@ -0,0 +1,265 @@
+// queryGuard.js
+// Static checks for LLM-generated Cypher before it touches the database.
+//
+// Rejects write clauses, procedures outside an allowlist, multiple statements
+// and labels/relationship types/properties that the discovered schema does not
+// know. Accepted queries get their LIMIT capped and run in a read transaction
+// with a timeout, so the database enforces read-only access as well.
+
+import { runCypherReadOnly } from "./neo4jClient.js";
+import { cacheKey, ensureFresh, resultCache } from "./cache.js";
+
+const MAX_LIMIT = Number(process.env.CYPHER_MAX_LIMIT) || 100;
+const TIMEOUT_MS = Number(process.env.CYPHER_TIMEOUT_MS) || 10000;
+
+const WRITE_CLAUSES = [
+  "CREATE", "MERGE", "DELETE", "DETACH", "SET", "REMOVE", "DROP", "FOREACH",
+  "LOAD CSV", "ALTER", "RENAME", "GRANT", "DENY", "REVOKE",
+  "START DATABASE", "STOP DATABASE", "TERMINATE TRANSACTION"
+];
+
+// Read-only procedures and function namespaces generated queries may use
+const ALLOWED_PROCEDURES = [
+  "db.index.fulltext.queryNodes",
+  "db.index.fulltext.queryRelationships",
+  "db.index.vector.queryNodes",
+  "db.labels",
+  "db.relationshipTypes",
+  "db.propertyKeys",
+  "db.schema.visualization",
+  "db.schema.nodeTypeProperties",
+  "db.schema.relTypeProperties",
+  "apoc.text.*",
+  "apoc.coll.*",
+  "apoc.map.*",
+  "apoc.date.*",
+  ...(process.env.CYPHER_ALLOWED_PROCEDURES || "").split(",").map(p => p.trim()).filter(Boolean)
+];
+
+/**
+ * A generated query that failed the guard. `code` is machine-readable;
+ * `fixable` rejections (schema mismatches, non-literal LIMITs) may be
+ * repaired by the LLM.
+ */
+export class QueryRejectedError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "QueryRejectedError";
+    this.code = code;
+    this.details = details;
+    this.cypher = null;
+    this.fixable = ["unknown_label", "unknown_relationship", "unknown_property", "dynamic_limit"].includes(code);
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, details: this.details, cypher: this.cypher };
+  }
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+/**
+ * Blank out string literals and comments so keywords inside them are ignored
+ */
+function stripLiterals(cypher) {
+  return cypher
+    .replace(/\/\*[\s\S]*?\*\//g, " ")
+    .replace(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"/g, "''")
+    .replace(/\/\/[^\n]*/g, " ");
+}
+
+const NAME = "(?:`[^`]+`|\\w+)";
+const unquote = name => name.replace(/`/g, "");
+
+// (var:Label|Other {key: value}) and -[var:TYPE|OTHER*1..3 {key: value}]-
+const NODE_PATTERN = new RegExp(`\\(\\s*(\\w*)\\s*((?::\\s*${NAME}\\s*(?:[|&]\\s*!?${NAME}\\s*)*)*)(?:\\{([^{}]*)\\})?\\s*\\)`, "g");
+const REL_PATTERN = new RegExp(`\\[\\s*(\\w*)\\s*(:\\s*!?${NAME}(?:\\s*[|&]\\s*:?!?${NAME})*)?\\s*(?:\\*[\\d.\\s]*)?\\s*(?:\\{([^{}]*)\\})?\\s*\\]`, "g");
+
+// `collect(p) AS posts` / `nodes(path) AS hops`: lists of nodes or relationships
+const ENTITY_LIST_ALIAS = /\b(?:collect\s*\(\s*(?:DISTINCT\s+)?(\w+)\s*\)|(nodes|relationships)\s*\([^()]*\))\s+AS\s+(\w+)/gi;
+
+// `[x IN ... | ...]`, `any(x IN ... WHERE ...)`, `reduce(acc = 0, x IN ... | ...)`:
+// the bound variable and the list it ranges over (a function, a collect() or a name)
+const LIST_BINDING = /[[(,]\s*(\w+)\s+IN\s+(?:(nodes|relationships)\s*\(|collect\s*\(\s*(?:DISTINCT\s+)?(\w+)\s*\)|(\w+)\b(?!\s*[.(]))/gi;
+
+// A LIMIT that is not an integer literal (`LIMIT $n`, `LIMIT 10 * $n`) could not be capped
+const DYNAMIC_LIMIT = /(?<![.\w`])LIMIT\s+(?!\d+(?!\d|\s*[-+*/%^.]))/i;
+
+function names(expression) {
+  return (expression || "").match(new RegExp(NAME, "g"))?.map(unquote) || [];
+}
+
+// A bare `(t)` / `[r]` is only a pattern next to a relationship arrow or right after
+// MATCH / path `=`; otherwise it is a function argument (`count(t)`) or an index (`list[i]`)
+function isBarePattern(text, start, end) {
+  const before = text.slice(0, start).trimEnd();
+  const after = text.slice(end).trimStart();
+  return /(?:-|->|\bMATCH|\w\s*=)$/i.test(before) || /^[-<]/.test(after);
+}
+
+// Map projections (`n {.title, posts: c}`) look like patterns but introduce no properties
+function mapKeys(body) {
+  if (/(^|,)\s*\.\w/.test(body || "")) return [];
+  return [...(body || "").matchAll(/(\w+)\s*:/g)].map(m => m[1]);
+}
+
+/**
+ * Labels, relationship types, properties and procedures referenced by a query
+ */
+export function analyzeCypher(cypher) {
+  const text = stripLiterals(cypher);
+  const labels = new Set();
+  const relTypes = new Set();
+  const properties = new Set();
+  const variables = new Set();
+
+  for (const match of text.matchAll(NODE_PATTERN)) {
+    const [pattern, variable, labelExpr, body] = match;
+    if (!labelExpr && !body) {
+      if (variable && isBarePattern(text, match.index, match.index + pattern.length)) variables.add(variable);
+      continue;
+    }
+    if (variable) variables.add(variable);
+    names(labelExpr).forEach(l => labels.add(l));
+    mapKeys(body).forEach(p => properties.add(p));
+  }
+  const entityLists = new Set();
+  for (const match of text.matchAll(REL_PATTERN)) {
+    const [pattern, variable, typeExpr, body] = match;
+    // `[r:REPLIES_TO*1..3]` binds r to a list of relationships
+    if (variable && pattern.includes("*")) entityLists.add(variable);
+    if (!typeExpr && !body) {
+      if (variable && isBarePattern(text, match.index, match.index + pattern.length)) variables.add(variable);
+      continue;
+    }
+    if (variable) variables.add(variable);
+    names(typeExpr).forEach(t => relTypes.add(t));
+    mapKeys(body).forEach(p => properties.add(p));
+  }
+  for (const [, collected, fn, alias] of text.matchAll(ENTITY_LIST_ALIAS)) {
+    if (fn || variables.has(collected)) entityLists.add(alias);
+  }
+  // Comprehension variables ranging over nodes or relationships are checked like pattern variables
+  for (const [, variable, fn, collected, list] of text.matchAll(LIST_BINDING)) {
+    if (fn || (collected ? variables.has(collected) : entityLists.has(list))) variables.add(variable);
+  }
+  // Property access only counts on pattern-bound variables (not YIELD/UNWIND aliases)
+  for (const [, variable, property] of text.matchAll(/\b(\w+)\.(\w+)/g)) {
+    if (variables.has(variable)) properties.add(property);
+  }
+
+  const procedures = new Set();
+  for (const [, name] of text.matchAll(/\bCALL\s+([\w.]+)/gi)) procedures.add(name);
+  for (const [, name] of text.matchAll(/\b((?:apoc|dbms|db|gds)\.[\w.]+)\s*\(/gi)) procedures.add(name);
+
+  return { text, labels, relTypes, properties, procedures };
+}
+
+function isAllowedProcedure(name) {
+  return ALLOWED_PROCEDURES.some(allowed => allowed.endsWith(".*")
+    ? name.startsWith(allowed.slice(0, -1))
+    : name === allowed);
+}
+
+// ============================================================================
+// GUARD
+// ============================================================================
+/**
+ * Validate a generated query against the discovered schema.
+ * Returns the query with LIMITs capped; throws QueryRejectedError otherwise.
+ */
+export function guardCypher(cypher, schema, { maxLimit = MAX_LIMIT } = {}) {
+  const query = (cypher || "").trim().replace(/;\s*$/, "");
+  if (!query) throw new QueryRejectedError("empty_query", "The generated query is empty.");
+
+  const { text, labels, relTypes, properties, procedures } = analyzeCypher(query);
+
+  if (text.includes(";")) {
+    throw new QueryRejectedError("multiple_statements", "Only a single Cypher statement is allowed.");
+  }
+
+  const writes = WRITE_CLAUSES.filter(clause => new RegExp(`\\b${clause.replace(/ /g, "\\s+")}\\b`, "i").test(text));
+  if (/\bIN\s+TRANSACTIONS\b/i.test(text)) writes.push("CALL { } IN TRANSACTIONS");
+  if (writes.length > 0) {
+    throw new QueryRejectedError("write_clause", `Write operations are not allowed (${writes.join(", ")}).`, { clauses: writes });
+  }
+
+  const blocked = [...procedures].filter(p => /^dbms\./i.test(p) || !isAllowedProcedure(p));
+  if (blocked.length > 0) {
+    throw new QueryRejectedError("procedure_not_allowed", `Procedures not allowed: ${blocked.join(", ")}.`, { procedures: blocked });
+  }
+
+  if (DYNAMIC_LIMIT.test(text)) {
+    throw new QueryRejectedError("dynamic_limit", `LIMIT must be an integer literal (at most ${maxLimit}).`, { maxLimit });
+  }
+
+  if (schema) {
+    const knownLabels = new Set(schema.nodes.flatMap(n => n.label.split(":")));
+    const knownTypes = new Set(schema.relationships.map(r => r.type));
+    const knownProperties = new Set([...schema.nodes, ...schema.relationships]
+      .flatMap(entry => entry.properties.map(p => p.property))
+      .filter(Boolean));
+
+    const checks = [
+      ["unknown_label", "labels", labels, knownLabels],
+      ["unknown_relationship", "relationshipTypes", relTypes, knownTypes],
+      ["unknown_property", "properties", properties, knownProperties]
+    ];
+    for (const [code, key, used, known] of checks) {
+      const unknown = [...used].filter(name => !known.has(name));
+      if (unknown.length > 0) {
+        throw new QueryRejectedError(code, `Not in the graph schema: ${unknown.join(", ")}.`, { [key]: unknown });
+      }
+    }
+  }
+
+  return capLimit(query, maxLimit);
+}
+
+/**
+ * Clamp literal LIMITs to maxLimit and add one to a final RETURN without it
+ */
+function capLimit(query, maxLimit) {
+  let capped = query.replace(/\bLIMIT\s+(\d+)/gi, (match, n) => Number(n) > maxLimit ? `LIMIT ${maxLimit}` : match);
+  const tail = stripLiterals(capped).split(/\bRETURN\b/i);
+  if (tail.length > 1 && !/\bLIMIT\b/i.test(tail[tail.length - 1])) {
+    capped += `\nLIMIT ${maxLimit}`;
+  }
+  return capped;
+}
+
+/**
+ * Guard a generated query, then run it read-only with a timeout.
+ * Rows are cached per query + params until the graph changes.
+ */
+export async function runGuardedCypher(cypher, schema, params = {}) {
+  let safe;
+  try {
+    safe = guardCypher(cypher, schema);
+  } catch (err) {
+    err.cypher = cypher;
+    throw err;
+  }
+
+  await ensureFresh();
+  const key = cacheKey(safe, params);
+  const cached = resultCache.get(key);
+  if (cached) return { cypher: safe, rows: cached, cached: true };
+
+  try {
+    const rows = await runCypherReadOnly(safe, params, { timeout: TIMEOUT_MS });
+    resultCache.set(key, rows);
+    return { cypher: safe, rows };
+  } catch (err) {
+    let rejection = null;
+    if (/write operations are not allowed|AccessMode/i.test(err.message)) {
+      rejection = new QueryRejectedError("write_clause", "Write operations are not allowed.", { database: err.message });
+    } else if (/timeout|terminated/i.test(err.message)) {
+      rejection = new QueryRejectedError("timeout", `Query exceeded the ${TIMEOUT_MS}ms time limit.`, { timeoutMs: TIMEOUT_MS });
+    }
+    if (!rejection) throw err;
+    rejection.cypher = safe;
+    throw rejection;
+  }
+}
@@ -0,0 +1,156 @@
+// queryGuard.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { QueryRejectedError, analyzeCypher, guardCypher } from "./queryGuard.js";
+
+const props = names => names.map(property => ({ property, types: ["String"] }));
+
+const SCHEMA = {
+  nodes: [
+    { label: "Post", properties: props(["id", "text", "source", "is_accepted"]) },
+    { label: "Comment", properties: props(["id", "text", "source"]) },
+    { label: "Thread", properties: props(["thread_url", "title", "views"]) },
+    { label: "Solution", properties: props(["id", "content", "status", "score"]) }
+  ],
+  relationships: [
+    { type: "IN_THREAD", properties: [] },
+    { type: "PROPOSES", properties: [] },
+    { type: "REPLIES_TO", properties: props(["method"]) }
+  ]
+};
+
+function rejection(cypher, schema = SCHEMA) {
+  try {
+    guardCypher(cypher, schema);
+  } catch (error) {
+    assert.ok(error instanceof QueryRejectedError, `expected a QueryRejectedError, got ${error}`);
+    return error;
+  }
+  assert.fail(`query was not rejected: ${cypher}`);
+}
+
+describe("guardCypher", () => {
+  it("accepts a read-only query that only uses known schema", () => {
+    const cypher = "MATCH (p:Post)-[:IN_THREAD]->(t:Thread) RETURN t.title AS title, count(p) AS posts ORDER BY posts DESC LIMIT 10";
+    assert.equal(guardCypher(cypher, SCHEMA), cypher);
+  });
+
+  for (const cypher of [
+    "MATCH (p:Post) SET p.text = 'x' RETURN p",
+    "CREATE (:Post {id: 'x'})",
+    "MERGE (t:Thread {thread_url: 'x'}) RETURN t",
+    "MATCH (p:Post) DETACH DELETE p",
+    "MATCH (p:Post) REMOVE p.text RETURN p",
+    "LOAD CSV FROM 'file:///x.csv' AS row RETURN row",
+    "MATCH (p:Post) FOREACH (x IN [1] | SET p.text = 'y') RETURN p",
+    "MATCH (p:Post) CALL { WITH p RETURN p AS q } IN TRANSACTIONS RETURN q",
+    "DROP INDEX post_text"
+  ]) {
+    it(`rejects writes: ${cypher.slice(0, 40)}`, () => {
+      assert.equal(rejection(cypher).code, "write_clause");
+    });
+  }
+
+  it("ignores write keywords inside string literals", () => {
+    const cypher = "MATCH (p:Post) WHERE p.text CONTAINS 'create a restore point' RETURN p.id AS id LIMIT 5";
+    assert.equal(guardCypher(cypher, SCHEMA), cypher);
+  });
+
+  it("rejects dbms procedures even when allowlisted by prefix", () => {
+    const error = rejection("CALL dbms.listConfig() YIELD name RETURN name");
+    assert.equal(error.code, "procedure_not_allowed");
+    assert.deepEqual(error.details.procedures, ["dbms.listConfig"]);
+  });
+
+  it("rejects APOC procedures outside the allowlist", () => {
+    assert.equal(rejection("CALL apoc.periodic.iterate('MATCH (n) RETURN n', 'DETACH DELETE n', {}) YIELD batches RETURN batches").code, "procedure_not_allowed");
+    assert.equal(rejection("CALL apoc.load.json('http://example.com') YIELD value RETURN value").code, "procedure_not_allowed");
+    assert.equal(rejection("RETURN apoc.cypher.runFirstColumnSingle('MATCH (n) RETURN n', {}) AS x").code, "procedure_not_allowed");
+  });
+
+  it("allows allowlisted procedures and functions", () => {
+    const cypher = "CALL db.index.fulltext.queryNodes('post_text_fulltext', 'battery') YIELD node, score RETURN apoc.text.clean(node.text) AS text, score LIMIT 5";
+    assert.equal(guardCypher(cypher, SCHEMA), cypher);
+  });
+
+  it("rejects multiple statements", () => {
+    assert.equal(rejection("MATCH (p:Post) RETURN p LIMIT 1; MATCH (t:Thread) RETURN t").code, "multiple_statements");
+  });
+
+  it("allows one trailing semicolon", () => {
+    assert.equal(guardCypher("MATCH (p:Post) RETURN p.id AS id LIMIT 5;", SCHEMA), "MATCH (p:Post) RETURN p.id AS id LIMIT 5");
+  });
+
+  it("caps LIMITs above the maximum", () => {
+    const capped = guardCypher("MATCH (p:Post) RETURN p.id AS id LIMIT 5000", SCHEMA, { maxLimit: 100 });
+    assert.match(capped, /LIMIT 100$/);
+    assert.doesNotMatch(capped, /5000/);
+  });
+
+  it("keeps LIMITs within the maximum", () => {
+    assert.match(guardCypher("MATCH (p:Post) RETURN p.id AS id LIMIT 20", SCHEMA, { maxLimit: 100 }), /LIMIT 20$/);
+  });
+
+  it("adds a LIMIT to a final RETURN without one", () => {
+    assert.match(guardCypher("MATCH (p:Post) RETURN p.id AS id", SCHEMA, { maxLimit: 50 }), /\nLIMIT 50$/);
+  });
+
+  it("rejects LIMITs that are not integer literals", () => {
+    for (const cypher of ["MATCH (p:Post) RETURN p LIMIT $n", "MATCH (p:Post) RETURN p LIMIT 10 * $n", "MATCH (p:Post) RETURN p LIMIT toInteger($n)"]) {
+      const error = rejection(cypher);
+      assert.equal(error.code, "dynamic_limit");
+      assert.ok(error.fixable);
+    }
+    assert.ok(guardCypher("MATCH (p:Post) WITH p {.text, limit: 3} AS post LIMIT 10 RETURN post LIMIT 5", SCHEMA));
+  });
+
+  it("rejects labels, relationship types and properties the schema does not know", () => {
+    const label = rejection("MATCH (s:Sentiment) RETURN s LIMIT 5");
+    assert.equal(label.code, "unknown_label");
+    assert.ok(label.fixable);
+    assert.equal(rejection("MATCH (p:Post)-[:WRITTEN_BY]->(t:Thread) RETURN p LIMIT 5").code, "unknown_relationship");
+    assert.deepEqual(rejection("MATCH (p:Post) RETURN p.sentiment LIMIT 5").details.properties, ["sentiment"]);
+  });
+
+  it("checks properties on variables bound without a label", () => {
+    const error = rejection("MATCH (p:Post)-[:IN_THREAD]->(t) RETURN t.sentiment AS sentiment LIMIT 5");
+    assert.equal(error.code, "unknown_property");
+    assert.deepEqual(error.details.properties, ["sentiment"]);
+    assert.equal(rejection("MATCH (p:Post)-[r]->(t:Thread) RETURN r.weight LIMIT 5").code, "unknown_property");
+    assert.equal(rejection("MATCH (n) RETURN n.sentiment LIMIT 5").code, "unknown_property");
+  });
+
+  it("checks properties on variables bound by list comprehensions over nodes or relationships", () => {
+    assert.equal(rejection("MATCH (t:Thread)<-[:IN_THREAD]-(p:Post) RETURN [x IN collect(p) | x.bogus] AS b LIMIT 5").code, "unknown_property");
+    assert.equal(rejection("MATCH (t:Thread)<-[:IN_THREAD]-(p:Post) WITH t, collect(p) AS posts RETURN any(x IN posts WHERE x.bogus) LIMIT 5").code, "unknown_property");
+    assert.equal(rejection("MATCH path = (c:Comment)-[:REPLIES_TO*1..3]->(p:Post) RETURN [n IN nodes(path) | n.bogus] LIMIT 5").code, "unknown_property");
+    assert.equal(rejection("MATCH (c:Comment)-[r:REPLIES_TO*1..3]->(p:Post) RETURN reduce(s = '', rel IN r | s + rel.bogus) LIMIT 5").code, "unknown_property");
+    assert.ok(guardCypher("MATCH (t:Thread)<-[:IN_THREAD]-(p:Post) RETURN t.title, [x IN collect(p) WHERE x.is_accepted | x.text] AS accepted LIMIT 5", SCHEMA));
+  });
+
+  it("skips the schema checks without a schema", () => {
+    assert.ok(guardCypher("MATCH (s:Sentiment) RETURN s.score LIMIT 5", null));
+  });
+});
+
+describe("analyzeCypher", () => {
+  it("does not treat function arguments or YIELD aliases as pattern variables", () => {
+    const { properties } = analyzeCypher(
+      "CALL db.index.fulltext.queryNodes('x', 'y') YIELD node, score MATCH (p:Post) RETURN count(p) AS posts, node.anything AS a, toLower(p.text) AS text"
+    );
+    assert.deepEqual([...properties], ["text"]);
+  });
+
+  it("does not treat comprehensions over values as pattern variables", () => {
+    const { properties } = analyzeCypher(
+      "MATCH (p:Post) WITH p, collect(p.text) AS texts RETURN [t IN texts | t.size] AS sizes, [k IN keys(p) | k] AS keys, [w IN split(p.text, ' ') | w] AS words"
+    );
+    assert.deepEqual([...properties], ["text"]);
+  });
+
+  it("collects labels and relationship types from label expressions", () => {
+    const { labels, relTypes } = analyzeCypher("MATCH (c:Post|Comment)-[:PROPOSES|REPLIES_TO*1..3]->(s:Solution) RETURN c");
+    assert.deepEqual([...labels].sort(), ["Comment", "Post", "Solution"]);
+    assert.deepEqual([...relTypes].sort(), ["PROPOSES", "REPLIES_TO"]);
+  });
+});
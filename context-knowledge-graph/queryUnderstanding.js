@@ -1,169 +1,169 @@
 // queryUnderstanding.js - Dynamic LLM Graph Q&A
 //
-// Principle: Give LLM complete schema knowledge, let it reason about traversals
-
-import { runCypher } from "./neo4jClient.js";
-import { callLLM } from "./llmClient.js";
+// Principle: Give LLM the schema knowledge relevant to the question, let it reason about traversals
+// (schemaMetadata.js); conversations (history, last Cypher, last results) live in the session store
+
+import { callLLM, trackUsage } from "./llmClient.js";
+import { hybridSearch } from "./retrieval.js";
+import { addSnippets, extractFulltextTerms } from "./fulltext.js";
+import { QueryRejectedError, runGuardedCypher } from "./queryGuard.js";
+import { sessions } from "./sessionStore.js";
+import { citedSources, numberSources } from "./citations.js";
+import { mergeGraphs, toGraph, toTable } from "./resultPayload.js";
+import { describePreviousSteps, executePlan, planQuestion } from "./planner.js";
+import { ensureFresh, normalizeQuestion, questionCache } from "./cache.js";
+import { buildSchemaPrompt, getSchema } from "./schemaMetadata.js";
+import { formatExamples, similarExamples } from "./fewShot.js";
 
 // ============================================================================
-// STATE
+// MAIN HANDLER
 // ============================================================================
-let schema = null;
-let conversation = {
-  messages: [],
-  lastResults: [],
-  lastCypher: null
-};
 
-// ============================================================================
-// INITIALIZATION
-// ============================================================================
-export async function initialize() {
-  console.log("🔄 Discovering graph schema...");
-  schema = await discoverSchema();
-  console.log(`✅ Schema ready: ${schema.nodes.length} node types`);
-
-  // Log what we found
-  for (const node of schema.nodes) {
-    const sampleCount = schema.samples[node.label]?.length || 0;
-    console.log(`  • ${node.label}: ${node.properties.length} props, ${sampleCount} samples`);
+// "single": one query (+ one fix); "plan": multi-step planner, falling back to single
+const DEFAULT_MODE = process.env.QUERY_MODE || "single";
+const ANSWER_ROWS = 15;
+
+/**
+ * Answer a question within a session's conversation. `history` seeds a new
+ * (or expired) session from the client's own transcript. `onEvent(type, data)`
+ * receives progress as it happens: plan, step, cypher, fix, rows, retrieval,
+ * rejected and the answer's tokens. The result also carries what analytics
+ * needs: generatedCypher, fixedCypher, per-stage timings and LLM token usage.
+ */
+export async function answerUserQuery(question, { sessionId = sessions.newId(), history = [], onEvent, mode = DEFAULT_MODE } = {}) {
+  const conversation = await sessions.get(sessionId);
+  if (conversation.messages.length === 0 && history.length > 0) {
+    conversation.messages.push(...history);
   }
 
-  return schema;
-}
+  const timings = stageTimings();
+  const trace = { generatedCypher: null, fixedCypher: null };
+  const emit = (type, data) => {
+    timings.mark(type, data);
+    if (type === "cypher") trace.generatedCypher = data.cypher;
+    if (type === "fix" && data.cypher) trace.fixedCypher = data.cypher;
+    onEvent?.(type, data);
+  };
+  // Without a listener the answer is fetched in one piece instead of streamed
+  emit.streaming = Boolean(onEvent);
 
-async function discoverSchema() {
-  const [nodesData, relsData, structureData] = await Promise.all([
-    runCypher(`
-      CALL db.schema.nodeTypeProperties() YIELD nodeType, propertyName, propertyTypes
-      WITH replace(replace(nodeType, ':\`', ''), '\`', '') as label, propertyName, propertyTypes
-      RETURN label, collect({property: propertyName, types: propertyTypes}) as properties
-    `),
-    runCypher(`
-      CALL db.schema.relTypeProperties() YIELD relType, propertyName, propertyTypes
-      WITH replace(replace(relType, ':\`', ''), '\`', '') as type, propertyName, propertyTypes
-      RETURN type, collect({property: propertyName, types: propertyTypes}) as properties
-    `),
-    runCypher(`
-      MATCH (a)-[r]->(b)
-      RETURN DISTINCT labels(a)[0] as from, type(r) as rel, labels(b)[0] as to
-    `)
-  ]);
-
-  // Get rich sample data for each node type - return properties directly
-  const samples = {};
-  for (const node of nodesData) {
-    try {
-      const result = await runCypher(`MATCH (n:\`${node.label}\`) RETURN properties(n) as props LIMIT 3`);
-      samples[node.label] = result.map(r => r.props).filter(Boolean);
-    } catch {
-      // Skip
-    }
+  try {
+    const { result, usage } = await trackUsage(() => answerInConversation(question, conversation, emit, mode));
+    return { ...result, ...trace, timings: timings.finish(), usage, sessionId };
+  } finally {
+    await sessions.save(conversation);
   }
-
-  return {
-    nodes: nodesData,
-    relationships: relsData,
-    structure: structureData,
-    samples
-  };
 }
 
-function buildSchemaPrompt() {
-  let prompt = "=== COMPLETE GRAPH SCHEMA ===\n\n";
-
-  // Node types with full property info and samples
-  for (const node of schema.nodes) {
-    const props = node.properties.filter(p => p.property);
-    prompt += `[${node.label}]\n`;
-    prompt += `  Properties:\n`;
-    for (const p of props) {
-      prompt += `    - ${p.property} (${p.types?.join('|') || 'unknown'})\n`;
-    }
+/**
+ * Milliseconds spent in each stage, measured between progress events:
+ * plan, steps, generate (→ cypher), execute (→ rows, or a failed run → fix),
+ * fix, retrieval, firstToken, and answer (the rest)
+ */
+function stageTimings() {
+  const started = Date.now();
+  let last = started;
+  const stages = {};
+  const add = (stage, now) => {
+    stages[stage] = (stages[stage] || 0) + now - last;
+    last = now;
+  };
+  const STAGES = { plan: "plan", step: "steps", cypher: "generate", rows: "execute", rejected: "execute", retrieval: "retrieval" };
 
-    // Show actual sample data with longer text previews
-    if (schema.samples[node.label]?.length > 0) {
-      prompt += `  Sample records:\n`;
-      for (const sample of schema.samples[node.label].slice(0, 2)) {
-        // For text/content fields, show more characters so LLM understands what's searchable
-        const displaySample = {};
-        for (const [key, value] of Object.entries(sample)) {
-          if (typeof value === 'string' && value.length > 100) {
-            displaySample[key] = value.substring(0, 300) + "...";
-          } else {
-            displaySample[key] = value;
-          }
-        }
-        prompt += `    ${JSON.stringify(displaySample)}\n`;
-      }
+  return {
+    mark(type, data) {
+      const now = Date.now();
+      if (type === "fix") add(data?.cypher ? "fix" : "execute", now);
+      else if (type === "token") {
+        if (stages.firstToken === undefined) add("firstToken", now);
+      } else if (STAGES[type]) add(STAGES[type], now);
+    },
+    finish() {
+      add("answer", Date.now());
+      return { ...stages, total: Date.now() - started };
     }
-    prompt += "\n";
-  }
-
-  // Relationships with properties
-  prompt += "=== RELATIONSHIPS ===\n";
-  for (const rel of schema.relationships) {
-    const props = rel.properties.filter(p => p.property).map(p => p.property);
-    prompt += `  [:${rel.type}]${props.length > 0 ? ` {${props.join(", ")}}` : ""}\n`;
-  }
-
-  // Graph structure - how things connect
-  prompt += "\n=== GRAPH CONNECTIONS ===\n";
-  for (const s of schema.structure) {
-    prompt += `  (${s.from})-[:${s.rel}]->(${s.to})\n`;
-  }
-
-  return prompt;
+  };
 }
 
-// ============================================================================
-// MAIN HANDLER
-// ============================================================================
-export async function answerUserQuery(question) {
-  if (!schema) await initialize();
-
+async function answerInConversation(question, conversation, emit, mode) {
   console.log(`\n🔍 "${question}"`);
   const startTime = Date.now();
 
   conversation.messages.push({ role: "user", content: question });
+  await ensureFresh();
+  const schema = await getSchema();
+
+  // Only an opening question means the same thing in every conversation
+  const questionKey = conversation.messages.length === 1 ? normalizeQuestion(question) : null;
+
+  if (mode === "plan") {
+    const planned = await answerWithPlan(question, conversation, emit, startTime);
+    if (planned) return planned;
+  }
 
   try {
-    // Generate query
-    const queryResult = await generateCypher(question);
+    // Generate query (or reuse the one that answered this question before)
+    const cachedCypher = questionKey && questionCache.get(questionKey);
+    const queryResult = cachedCypher ? { cypher: cachedCypher } : await generateCypher(question, conversation);
+    if (cachedCypher) console.log("⚡ Cypher from question cache");
 
     if (queryResult.notPossible) {
+      const retrieved = await answerFromRetrieval(question, conversation, emit, startTime);
+      if (retrieved) return retrieved;
+
       const answer = queryResult.reason;
       conversation.messages.push({ role: "assistant", content: answer });
       return { question, answer, method: "not-possible" };
     }
 
     console.log(`📝 Cypher: ${queryResult.cypher}`);
+    emit("cypher", { cypher: queryResult.cypher });
 
-    // Execute
+    // Execute (guarded, read-only); schema mismatches and errors get one fix attempt
     let results;
+    let executed;
     try {
-      results = await runCypher(queryResult.cypher);
+      ({ cypher: executed, rows: results } = await runGuardedCypher(queryResult.cypher, schema));
     } catch (err) {
+      if (err instanceof QueryRejectedError && !err.fixable) throw err;
       console.log(`⚠️ Query error, attempting fix...`);
+      emit("fix", { error: err.message });
       const fixed = await fixCypher(queryResult.cypher, err.message, question);
       if (fixed) {
         console.log(`🔧 Fixed query: ${fixed}`);
-        results = await runCypher(fixed);
+        emit("fix", { cypher: fixed });
+        ({ cypher: executed, rows: results } = await runGuardedCypher(fixed, schema));
       } else {
         throw err;
       }
     }
 
+    emit("rows", { count: results?.length || 0 });
+
     if (!results || results.length === 0) {
+      // Different wording than the forum? Fall back to hybrid retrieval
+      const retrieved = await answerFromRetrieval(question, conversation, emit, startTime, queryResult.cypher);
+      if (retrieved) return retrieved;
+
       const answer = "No matching data found in the knowledge graph.";
       conversation.messages.push({ role: "assistant", content: answer });
       return { question, answer, cypher: queryResult.cypher, method: "no-results" };
     }
 
+    if (questionKey) questionCache.set(questionKey, executed);
+
+    // Graph payload from any returned nodes/paths; rows become plain JSON
+    const graph = toGraph(results);
+    const { columns, rows } = toTable(results);
+
+    // Highlight the full-text terms the query searched for
+    results = addSnippets(rows, extractFulltextTerms(executed));
+
     conversation.lastResults = results;
-    conversation.lastCypher = queryResult.cypher;
+    conversation.lastCypher = executed;
 
-    const answer = await generateAnswer(question, results);
+    const { rows: referenced, sources } = await numberSources(results);
+    const answer = await generateAnswer(question, referenced, emit);
     conversation.messages.push({ role: "assistant", content: answer });
 
     console.log(`✅ ${results.length} results in ${Date.now() - startTime}ms`);
@@ -171,12 +171,24 @@ export async function answerUserQuery(question) {
     return {
       question,
       answer,
-      cypher: queryResult.cypher,
+      citations: citedSources(answer, sources),
+      cypher: executed,
+      columns,
+      rows: results,
+      graph,
       resultCount: results.length,
       queryTime: Date.now() - startTime
     };
 
   } catch (error) {
+    if (error instanceof QueryRejectedError) {
+      console.warn(`🛡️ Query rejected (${error.code}): ${error.message}`);
+      emit("rejected", error.toJSON());
+      const answer = `The generated query was rejected: ${error.message}`;
+      conversation.messages.push({ role: "assistant", content: answer });
+      return { question, answer, cypher: error.cypher, method: "rejected", error: error.message, rejection: error.toJSON() };
+    }
+
     console.error("❌", error.message);
     const answer = `Error: ${error.message}`;
     conversation.messages.push({ role: "assistant", content: answer });
@@ -184,15 +196,116 @@ export async function answerUserQuery(question) {
   }
 }
 
+/**
+ * Answer through a multi-step plan; null (→ single-shot path) when the plan
+ * has one step, fails, or finds nothing
+ */
+async function answerWithPlan(question, conversation, emit, startTime) {
+  try {
+    const schema = await getSchema();
+    const plan = await planQuestion(question, buildSchemaPrompt(schema, question));
+    if (!plan || plan.steps.length < 2) return null;
+
+    console.log(`🗺️ Plan: ${plan.steps.map(s => `${s.index}. ${s.goal}`).join(" | ")}`);
+    emit("plan", { steps: plan.steps });
+
+    const { steps, trace } = await executePlan(plan, {
+      emit,
+      runStep: async (step, previous, params) => {
+        const stepContext = `OVERALL QUESTION: "${question}"\n${describePreviousSteps(previous)}`;
+        const generated = await generateCypher(step.goal, conversation, { stepContext });
+        if (!generated.cypher) throw new Error(generated.reason || "No query for this step");
+
+        let run;
+        try {
+          run = await runGuardedCypher(generated.cypher, schema, params);
+        } catch (err) {
+          if (err instanceof QueryRejectedError && !err.fixable) throw err;
+          const fixed = await fixCypher(generated.cypher, err.message, step.goal);
+          if (!fixed) throw err;
+          run = await runGuardedCypher(fixed, schema, params);
+        }
+        return { cypher: run.cypher, rows: toTable(run.rows).rows, graph: toGraph(run.rows) };
+      }
+    });
+
+    const rows = steps.flatMap(s => s.rows.map(row => ({ step: s.index, ...row })));
+    if (rows.length === 0) {
+      console.log("🗺️ Plan found nothing, falling back to a single query");
+      return null;
+    }
+
+    // Every step gets a share of the rows the answer prompt sees
+    const perStep = Math.ceil(ANSWER_ROWS / steps.length);
+    const answerRows = steps.flatMap(s => s.rows.slice(0, perStep).map(row => ({ step: s.index, ...row })));
+    const { rows: referenced, sources } = await numberSources(answerRows);
+    const answer = await generateAnswer(question, referenced, emit);
+
+    conversation.messages.push({ role: "assistant", content: answer });
+    conversation.lastResults = rows;
+    conversation.lastCypher = steps.at(-1).cypher;
+
+    console.log(`✅ Plan: ${steps.length}/${plan.steps.length} steps, ${rows.length} rows in ${Date.now() - startTime}ms`);
+
+    return {
+      question,
+      answer,
+      citations: citedSources(answer, sources),
+      cypher: steps.at(-1).cypher,
+      method: "planner",
+      plan: trace,
+      columns: [...new Set(rows.flatMap(row => Object.keys(row)))],
+      rows,
+      graph: mergeGraphs(steps.map(s => s.graph)),
+      resultCount: rows.length,
+      queryTime: Date.now() - startTime
+    };
+  } catch (err) {
+    console.warn(`⚠️ Planner failed, falling back to a single query: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Answer from semantically retrieved passages; null when nothing is found
+ */
+async function answerFromRetrieval(question, conversation, emit, startTime, cypher = null) {
+  const passages = await hybridSearch(question);
+  if (passages.length === 0) return null;
+
+  console.log(`🔎 Hybrid retrieval: ${passages.length} passages`);
+  emit("retrieval", { count: passages.length });
+  conversation.lastResults = passages;
+
+  const { rows: referenced, sources } = await numberSources(passages);
+  const answer = await generateAnswer(question, referenced, emit);
+  conversation.messages.push({ role: "assistant", content: answer });
+
+  return {
+    question,
+    answer,
+    citations: citedSources(answer, sources),
+    cypher,
+    method: "hybrid-retrieval",
+    columns: Object.keys(passages[0]),
+    rows: passages,
+    graph: null,
+    resultCount: passages.length,
+    queryTime: Date.now() - startTime
+  };
+}
+
 // ============================================================================
 // LLM QUERY GENERATION
 // ============================================================================
-async function generateCypher(question) {
-  const schemaPrompt = buildSchemaPrompt();
+async function generateCypher(question, conversation, { stepContext = "" } = {}) {
+  const schemaPrompt = buildSchemaPrompt(await getSchema(), question);
 
-  // Debug: log schema prompt
-  console.log(`📋 Schema prompt: ${schemaPrompt.length} chars`);
-  console.log(schemaPrompt.substring(0, 1500) + "\n...[truncated]");
+  console.log(`📋 Schema prompt: ${schemaPrompt.length} chars (~${Math.ceil(schemaPrompt.length / 4)} tokens)`);
+
+  // Curated examples of similar questions keep recurring question types consistent
+  const examples = await similarExamples(question);
+  if (examples.length > 0) console.log(`🧩 Examples: ${examples.map(e => `${e.id} (${e.similarity})`).join(", ")}`);
 
   // Build conversation context
   let context = "";
@@ -207,26 +320,38 @@ async function generateCypher(question) {
     context += "PREVIOUS QUERY RESULTS (for follow-up reference):\n";
     context += JSON.stringify(conversation.lastResults.slice(0, 5), null, 2) + "\n\n";
   }
+  context += stepContext;
 
   const prompt = `You are a Neo4j Cypher expert. Generate a Cypher query for the question.
 
 ${schemaPrompt}
 
-${context}
+${formatExamples(examples)}${context}
 
 QUESTION: "${question}"
 
-Generate a Cypher query that:
+Generate a Cypher query that (following the EXAMPLES' patterns where they fit):
 1. Searches text fields (properties with String type containing actual content) for relevant keywords
 2. Traverses relationships shown in GRAPH CONNECTIONS to gather context
-3. Returns meaningful content, not just IDs
-4. Uses: WHERE toLower(property) CONTAINS toLower("keyword")
+3. Returns meaningful content, not just IDs; for questions about how things connect, also
+   returns the matched path (MATCH path = (...)-[...]->(...) ... RETURN path, ...)
+4. For keyword search on a property listed under FULL-TEXT INDEXES, uses
+   CALL db.index.fulltext.queryNodes("index_name", "keyword OR other") YIELD node, score
+   and returns score, ordered by score DESC (BM25 relevance);
+   on other properties uses: WHERE toLower(property) CONTAINS toLower("keyword")
 5. Includes LIMIT 10
+6. For DateTime properties (e.g. created_at) filters with datetime("2025-06-01") or datetime() - duration("P30D"),
+   and groups by parts like n.created_at.year / n.created_at.month
+7. Uses Long counts (e.g. views, replies) and Boolean flags (e.g. is_accepted) directly, without string comparison
+8. Returns the id of the Post/Comment/Solution/Report each row is based on (AS id) and the
+   Thread's thread_url, so the answer can cite its sources
+9. Is read-only: never CREATE, MERGE, SET, DELETE or REMOVE, and calls no dbms.* procedures
+   (write queries and labels/properties outside the schema are rejected)
 
 Respond ONLY with JSON:
 {"cypher": "your query"}`;
 
-  const response = await callLLM(prompt, { temperature: 0, max_tokens: 600 });
+  const response = await callLLM(prompt, { task: "cypher", temperature: 0, max_tokens: 600 });
 
   try {
     const json = JSON.parse(response.match(/\{[\s\S]*\}/)?.[0] || "{}");
@@ -242,10 +367,11 @@ Respond ONLY with JSON:
 }
 
 async function fixCypher(badCypher, error, question) {
+  const schemaPrompt = buildSchemaPrompt(await getSchema(), question);
   const prompt = `Fix this Cypher query.
 
 SCHEMA:
-${buildSchemaPrompt()}
+${schemaPrompt}
 
 FAILED QUERY:
 ${badCypher}
@@ -256,7 +382,7 @@ QUESTION: "${question}"
 
 Return ONLY the corrected Cypher query.`;
 
-  const response = await callLLM(prompt, { temperature: 0, max_tokens: 400 });
+  const response = await callLLM(prompt, { task: "fix", temperature: 0, max_tokens: 400 });
   const fixed = response.replace(/```[a-z]*\n?|```/g, "").trim();
 
   if (fixed.toUpperCase().includes("MATCH")) return fixed;
@@ -266,7 +392,7 @@ Return ONLY the corrected Cypher query.`;
 // ============================================================================
 // ANSWER GENERATION
 // ============================================================================
-async function generateAnswer(question, results) {
+async function generateAnswer(question, results, emit) {
   const prompt = `Generate a helpful answer from this data.
 
 QUESTION: "${question}"
@@ -279,22 +405,25 @@ RULES:
 - Be specific - reference actual values from the data
 - Provide actionable insights when possible
 - If data is incomplete, say what WAS found
+- Cite the rows behind each claim with their ref number in square brackets, e.g. [1] or [2, 3];
+  only cite refs present in the data
 - Keep it concise (3-5 sentences)`;
 
-  return await callLLM(prompt, { temperature: 0.2, max_tokens: 400 });
+  return await callLLM(prompt, {
+    task: "answer",
+    temperature: 0.2,
+    max_tokens: 400,
+    onToken: emit.streaming ? text => emit("token", { text }) : undefined
+  });
 }
 
 // ============================================================================
 // EXPORTS
 // ============================================================================
-export function clearConversation() {
-  conversation = { messages: [], lastResults: [], lastCypher: null };
-}
-
-export function getConversation() {
-  return { ...conversation };
+export async function clearConversation(sessionId) {
+  return sessions.reset(sessionId);
 }
 
-export function getSchema() {
-  return schema;
+export async function getConversation(sessionId) {
+  return sessions.get(sessionId);
 }
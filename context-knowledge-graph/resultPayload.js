@@ -0,0 +1,150 @@
+// resultPayload.js
+// Turns raw driver records into JSON the API can return.
+//
+// Rows become plain values (nodes → {labels, properties}, temporals → ISO
+// strings); any nodes, relationships and paths in them are also collected
+// into a { nodes, edges } graph for the UI's subgraph view.
+
+import neo4j from "neo4j-driver";
+
+// Embeddings are large and meaningless to a reader
+const HIDDEN_PROPERTIES = new Set(["embedding", "embedding_hash", "embedding_model"]);
+
+// Property shown as the node's caption, first match wins
+const CAPTION_PROPERTIES = ["title", "name", "label", "username", "content", "text", "id"];
+const CAPTION_LENGTH = 40;
+
+const TEMPORAL_CHECKS = [
+  neo4j.isDateTime, neo4j.isDate, neo4j.isLocalDateTime,
+  neo4j.isTime, neo4j.isLocalTime, neo4j.isDuration
+];
+
+// ============================================================================
+// VALUES
+// ============================================================================
+function serializeProperties(properties) {
+  const out = {};
+  for (const [key, value] of Object.entries(properties)) {
+    if (!HIDDEN_PROPERTIES.has(key)) out[key] = serializeValue(value);
+  }
+  return out;
+}
+
+export function serializeValue(value) {
+  if (value === null || value === undefined) return null;
+  if (neo4j.isInt(value)) return value.toNumber();
+  if (TEMPORAL_CHECKS.some(check => check(value))) return value.toString();
+  if (neo4j.isPoint(value)) return { x: value.x, y: value.y, z: value.z, srid: value.srid };
+  if (neo4j.isNode(value)) {
+    return { elementId: value.elementId, labels: value.labels, properties: serializeProperties(value.properties) };
+  }
+  if (neo4j.isRelationship(value)) {
+    return { elementId: value.elementId, type: value.type, properties: serializeProperties(value.properties) };
+  }
+  if (neo4j.isPath(value)) {
+    return {
+      nodes: [value.start, ...value.segments.map(s => s.end)].map(serializeValue),
+      relationships: value.segments.map(s => serializeValue(s.relationship))
+    };
+  }
+  if (Array.isArray(value)) return value.map(serializeValue);
+  if (typeof value === "object") {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) out[key] = serializeValue(v);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Plain-JSON copies of the records, plus the column order
+ */
+export function toTable(records) {
+  return {
+    columns: records.length > 0 ? Object.keys(records[0]) : [],
+    rows: records.map(record => serializeValue(record))
+  };
+}
+
+// ============================================================================
+// GRAPH
+// ============================================================================
+function caption(node) {
+  const key = CAPTION_PROPERTIES.find(k => typeof node.properties[k] === "string" && node.properties[k]);
+  const text = key ? node.properties[key].replace(/\s+/g, " ") : node.labels[0];
+  return text.length > CAPTION_LENGTH ? text.slice(0, CAPTION_LENGTH) + "…" : text;
+}
+
+/**
+ * Nodes and relationships found anywhere in the records; null when there are none.
+ * Edges whose endpoints were not returned are dropped.
+ */
+export function toGraph(records) {
+  const nodes = new Map();
+  const relationships = new Map();
+
+  const visit = value => {
+    if (value === null || value === undefined || typeof value !== "object") return;
+    if (neo4j.isNode(value)) {
+      if (!nodes.has(value.elementId)) {
+        nodes.set(value.elementId, {
+          id: value.elementId,
+          labels: value.labels,
+          caption: caption(value),
+          properties: serializeProperties(value.properties)
+        });
+      }
+    } else if (neo4j.isRelationship(value)) {
+      relationships.set(value.elementId, value);
+    } else if (neo4j.isPath(value)) {
+      visit(value.start);
+      value.segments.forEach(segment => {
+        visit(segment.end);
+        visit(segment.relationship);
+      });
+    } else if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (!neo4j.isInt(value)) {
+      Object.values(value).forEach(visit);
+    }
+  };
+  records.forEach(visit);
+
+  if (nodes.size === 0) return null;
+
+  const edges = [...relationships.values()]
+    .filter(rel => nodes.has(rel.startNodeElementId) && nodes.has(rel.endNodeElementId))
+    .map(rel => ({
+      id: rel.elementId,
+      source: rel.startNodeElementId,
+      target: rel.endNodeElementId,
+      type: rel.type,
+      properties: serializeProperties(rel.properties)
+    }));
+
+  return {
+    nodes: [...nodes.values()],
+    edges,
+    labels: [...new Set([...nodes.values()].flatMap(n => n.labels))]
+  };
+}
+
+/**
+ * Union of several graph payloads (nulls skipped), deduplicated by id
+ */
+export function mergeGraphs(graphs) {
+  const present = graphs.filter(Boolean);
+  if (present.length === 0) return null;
+
+  const nodes = new Map();
+  const edges = new Map();
+  for (const graph of present) {
+    graph.nodes.forEach(node => nodes.set(node.id, node));
+    graph.edges.forEach(edge => edges.set(edge.id, edge));
+  }
+  return {
+    nodes: [...nodes.values()],
+    edges: [...edges.values()],
+    labels: [...new Set(present.flatMap(g => g.labels))]
+  };
+}
@@ -0,0 +1,118 @@
+// retrieval.js
+// Hybrid retrieval: vector similarity + BM25 keyword search + graph expansion.
+//
+// Used by the query path when generated Cypher finds nothing, so questions
+// phrased differently from the forum text still reach relevant posts.
+
+import { runCypherReadOnly } from "./neo4jClient.js";
+import { EMBEDDING_TARGETS, getEmbeddingProvider } from "./embeddings.js";
+import { tokenize } from "./issueClustering.js";
+import { highlightSnippet, luceneQuery } from "./fulltext.js";
+
+const VECTOR_WEIGHT = 0.7;
+const KEYWORD_WEIGHT = 0.3;
+const MAX_KEYWORDS = 6;
+
+/**
+ * Top-k passages for a question across Post/Comment/Solution/Report,
+ * each expanded with its thread, author, source and linked issues
+ */
+export async function hybridSearch(question, { k = 8, provider } = {}) {
+  const hits = new Map();
+  const addHit = (label, row, field) => {
+    const key = `${label}:${row.id}`;
+    const hit = hits.get(key) || { label, id: row.id, text: row.text, vectorScore: 0, keywordScore: 0 };
+    hit[field] = Math.max(hit[field], row.score);
+    hits.set(key, hit);
+  };
+
+  // Vector similarity (skipped when embeddings/indexes are not built yet)
+  try {
+    const [vector] = await (provider || getEmbeddingProvider()).embed([question]);
+    for (const target of EMBEDDING_TARGETS) {
+      const rows = await runCypherReadOnly(`
+        CALL db.index.vector.queryNodes($index, $k, $vector) YIELD node, score
+        RETURN node.id AS id, node.${target.property} AS text, score
+      `, { index: target.index, k, vector });
+      rows.forEach(row => addHit(target.label, row, "vectorScore"));
+    }
+  } catch (err) {
+    console.warn(`⚠️ Vector search unavailable: ${err.message}`);
+  }
+
+  // Keywords: BM25 via the full-text index (scores scaled to the best hit),
+  // plain term overlap where a label has no full-text index
+  const terms = [...new Set(tokenize(question))].slice(0, MAX_KEYWORDS);
+  if (terms.length > 0) {
+    for (const target of EMBEDDING_TARGETS) {
+      let rows;
+      try {
+        rows = target.fulltextIndex
+          ? await fulltextSearch(target, luceneQuery(terms), k)
+          : await overlapSearch(target, terms, k);
+      } catch (err) {
+        console.warn(`⚠️ Keyword search on ${target.label} failed: ${err.message}`);
+        rows = await overlapSearch(target, terms, k);
+      }
+      rows.forEach(row => addHit(target.label, row, "keywordScore"));
+    }
+  }
+
+  const ranked = [...hits.values()]
+    .map(hit => ({ ...hit, score: VECTOR_WEIGHT * hit.vectorScore + KEYWORD_WEIGHT * hit.keywordScore }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+
+  const passages = await expand(ranked);
+  return passages.map(p => ({ ...p, snippet: highlightSnippet(p.text, terms) || undefined }));
+}
+
+async function fulltextSearch(target, query, k) {
+  const rows = await runCypherReadOnly(`
+    CALL db.index.fulltext.queryNodes($index, $query, {limit: $k}) YIELD node, score
+    RETURN node.id AS id, node.${target.property} AS text, score
+  `, { index: target.fulltextIndex, query, k });
+  const best = Math.max(...rows.map(r => r.score), 0) || 1;
+  return rows.map(row => ({ ...row, score: row.score / best }));
+}
+
+async function overlapSearch(target, terms, k) {
+  return runCypherReadOnly(`
+    MATCH (n:${target.label})
+    WHERE any(term IN $terms WHERE toLower(n.${target.property}) CONTAINS term)
+    WITH n, size([term IN $terms WHERE toLower(n.${target.property}) CONTAINS term]) AS matched
+    RETURN n.id AS id, n.${target.property} AS text, toFloat(matched) / size($terms) AS score
+    ORDER BY score DESC
+    LIMIT $k
+  `, { terms, k });
+}
+
+/**
+ * Graph expansion: thread, author, source and issues around each hit
+ */
+async function expand(hits) {
+  const context = new Map();
+
+  for (const label of new Set(hits.map(h => h.label))) {
+    const rows = await runCypherReadOnly(`
+      MATCH (n:${label}) WHERE n.id IN $ids
+      OPTIONAL MATCH (n)<-[:AS_REPORT|PROPOSES*0..1]-(m)-[:IN_THREAD]->(t:Thread)
+      OPTIONAL MATCH (m)<-[:AUTHORED]-(u:User)
+      OPTIONAL MATCH (n)-[:AS_REPORT|MENTIONS|ACCEPTED_FOR*1..2]->(i:Issue)
+      RETURN n.id AS id, n.source AS source,
+             head(collect(DISTINCT t.title)) AS thread_title,
+             head(collect(DISTINCT t.thread_url)) AS thread_url,
+             head(collect(DISTINCT u.username)) AS author,
+             collect(DISTINCT i.label) AS issues
+    `, { ids: hits.filter(h => h.label === label).map(h => h.id) });
+    rows.forEach(row => context.set(`${label}:${row.id}`, row));
+  }
+
+  return hits.map(hit => ({
+    type: hit.label,
+    id: hit.id,
+    score: Number(hit.score.toFixed(3)),
+    text: hit.text?.length > 500 ? hit.text.substring(0, 500) + "..." : hit.text,
+    ...context.get(`${hit.label}:${hit.id}`)
+  }));
+}
@@ -1,126 +1,73 @@
 // schemaMetadata.js (V1)
-// PURPOSE: Expose the ACTUAL Neo4j schema to the LLM
+// PURPOSE: The one schema service - what Neo4j ACTUALLY contains, merged with
+// curated domain notes, and the schema prompt built from it
 // GUARANTEE: Nothing here assumes data that does not exist
+//
+// Discovery is incremental: every refresh re-reads labels, property keys and
+// per-label counts (cheap), but only re-samples labels whose count or
+// properties changed. A refresh runs on demand and whenever the graph
+// fingerprint (checked at most every SCHEMA_CHECK_SECONDS, independent of
+// CACHE_ENABLED) changes. buildSchemaPrompt(question) keeps the labels,
+// connections and samples relevant to the question within a token budget.
 
-import neo4j from "neo4j-driver";
-import dotenv from "dotenv";
+import { runCypherReadOnly } from "./neo4jClient.js";
+import { graphFingerprint } from "./cache.js";
 
-dotenv.config();
+const PROMPT_TOKENS = Number(process.env.SCHEMA_PROMPT_TOKENS) || 2500;
+const CHARS_PER_TOKEN = 4;
+const SAMPLES_PER_LABEL = 2;
+const SAMPLE_TEXT_LENGTH = 300;
+const CHECK_INTERVAL_MS = (Number(process.env.SCHEMA_CHECK_SECONDS) || 30) * 1000;
 
-const driver = neo4j.driver(
-  process.env.NEO4J_URI,
-  neo4j.auth.basic(process.env.NEO4J_USER, process.env.NEO4J_PASSWORD),
-  { disableLosslessIntegers: true }
-);
+// Embedding vectors are useless (and huge) inside a prompt
+const VECTOR_PROPERTIES = ["embedding", "embedding_hash", "embedding_model"];
 
-let schemaCache = null;
+// Import and KG build bookkeeping, not part of the forum graph
+const INTERNAL_LABELS = ["ImportRun", "KGBuild"];
+const INTERNAL_RELATIONSHIPS = ["CREATED_IN"];
 
-export async function getSchema() {
-  if (schemaCache) return schemaCache;
+// ============================================================================
+// DOMAIN GUIDANCE (V1 ONLY)
+// ============================================================================
+// Shown next to the introspected label / relationship type
+const LABEL_NOTES = {
+  Issue: "clusters of similar reports across threads/forums",
+  Report: "a problem described in a post",
+  Solution: "a fix proposed in a reply post or comment; status 'accepted' or 'marked' = verified, ranked by score",
+  Product: "a specific model mentioned in threads and reports",
+  ProductFamily: "product line, e.g. XPS, OptiPlex, Surface Laptop",
+  Source: "the forum a thread was scraped from"
+};
 
-  try {
-    const [nodeResult, relResult, sourcesResult, productsResult] =
-      await Promise.all([
-        // Node labels + properties
-        driver.session().run(`
-          CALL db.schema.nodeTypeProperties()
-          YIELD nodeType, propertyName, propertyTypes
-          RETURN nodeType, collect({
-            property: propertyName,
-            types: propertyTypes
-          }) AS properties
-        `),
-
-        // Relationship types + properties
-        driver.session().run(`
-          CALL db.schema.relTypeProperties()
-          YIELD relType, propertyName, propertyTypes
-          RETURN relType, collect({
-            property: propertyName,
-            types: propertyTypes
-          }) AS properties
-        `),
-
-        // Sources actually present
-        driver.session().run(`
-          MATCH (s:Source)
-          RETURN DISTINCT s.name AS source
-          ORDER BY source
-        `),
-
-        // Products inferred so far
-        driver.session().run(`
-          MATCH (p:Product)
-          RETURN DISTINCT p.name AS name
-          ORDER BY name
-        `),
-      ]);
-
-    const nodes = nodeResult.records.map(r => ({
-      label: r.get("nodeType").replace(/[`:\s]/g, ""),
-      properties: (r.get("properties") || []).map(p => ({
-        property: p.property,
-        types: p.types
-      }))
-    }));
-
-    const relationships = relResult.records.map(r => ({
-      type: r.get("relType").replace(/[`:\s]/g, ""),
-      properties: (r.get("properties") || []).map(p => ({
-        property: p.property,
-        types: p.types
-      }))
-    }));
-
-    const sources = sourcesResult.records.map(r => r.get("source"));
-    const products = productsResult.records.map(r => r.get("name"));
-
-    const schema = {
-      nodes,
-      relationships,
-      sources,
-      products,
-
-      // ===============================
-      // DOMAIN GUIDANCE (V1 ONLY)
-      // ===============================
-      domainGuidance: `
+const RELATIONSHIP_NOTES = {
+  NEXT: "thread order; position = index in thread",
+  REPLIES_TO: "method: quote|mention|original_post",
+  MENTIONS: "similarity of the report to the issue",
+  VARIANT_OF: "roll products up to their family"
+};
+
+const DOMAIN_RULES = `
 THIS IS A V1 KNOWLEDGE GRAPH.
 
 ONLY USE STRUCTURE THAT EXISTS.
 DO NOT ASSUME SENTIMENT, CONFIDENCE SCORES, EXPERTISE LEVELS, OR CATEGORIES.
 
-AVAILABLE NODE TYPES:
-- User
-- Thread
-- Post
-- Comment
-- Report
-- Issue
-- Solution
-- Product
-- Source
-
-AVAILABLE RELATIONSHIPS:
-- (User)-[:AUTHORED]->(Post|Comment)
-- (Post|Comment)-[:IN_THREAD]->(Thread)
-- (Thread)-[:FROM_SOURCE]->(Source)
-- (Post)-[:AS_REPORT]->(Report)
-- (Report)-[:MENTIONS]->(Issue)
-- (Comment)-[:PROPOSES]->(Solution)
-- (Report)-[:ABOUT_PRODUCT]->(Product)
-
 SUPPORTED QUESTION TYPES:
 - "most discussed issues" → count(Report → Issue)
 - "threads with most activity" → count(Post/Comment per Thread)
-- "products being talked about" → count(Report → Product)
-- "solutions proposed" → count(Comment → Solution)
+- "products being talked about" → count(Thread|Report → Product), roll up via VARIANT_OF to ProductFamily
+- "solutions proposed" → count(Post|Comment → Solution)
+- "verified / accepted fixes" → Solution.status = 'accepted' (or 'marked'), ordered by Solution.score
 - "compare Dell vs AnandTech" → filter by source
 
 IMPORTANT RULES FOR CYPHER:
 - Never assume numeric scores unless they exist
 - Use COUNT(), DISTINCT, ORDER BY for ranking
-- Use toLower() + CONTAINS for fuzzy matching
+- Keyword search on properties listed under FULL-TEXT INDEXES: use
+  CALL db.index.fulltext.queryNodes(index, query) YIELD node, score, ordered by score
+- Elsewhere use toLower() + CONTAINS for fuzzy matching
+- created_at / scraped_at are DateTime values: compare with datetime(), not strings
+- views / replies are integers; is_original_post / is_solution / is_accepted are booleans
 - Return aggregates, not raw nodes, for rankings
 - If requested data is not in schema, return empty results
 
@@ -130,16 +77,191 @@ Return:
   "cypher": "RETURN 'not_tracked' AS status",
   "expectsResults": false
 }
-`.trim()
-    };
+`.trim();
+
+// Question words that point at a label without naming it
+const LABEL_KEYWORDS = {
+  Solution: ["fix", "fixes", "fixed", "solve", "solved", "solution", "solutions", "workaround", "resolve", "resolved", "accepted", "verified"],
+  User: ["who", "user", "users", "author", "authors", "people", "member", "members", "poster", "posters"],
+  Product: ["product", "products", "laptop", "laptops", "model", "models", "device", "devices"],
+  ProductFamily: ["family", "families", "brand", "brands", "line", "series", "laptop", "laptops"],
+  Issue: ["issue", "issues", "problem", "problems", "bug", "bugs", "common", "recurring"],
+  Report: ["report", "reports", "reported", "complaint", "complaints", "problem", "problems"],
+  Thread: ["thread", "threads", "discussion", "discussions", "discussed", "topic", "topics", "activity"],
+  Post: ["post", "posts", "posted", "wrote", "said"],
+  Comment: ["comment", "comments", "reply", "replies"],
+  Source: ["forum", "forums", "source", "sources", "site", "compare", "dell", "anandtech"]
+};
+
+// ============================================================================
+// DISCOVERY
+// ============================================================================
+let schemaCache = null;
+let loading = null;
+let checkedAt = 0;
+
+async function introspect() {
+  const [nodes, relationships, structure, fulltextIndexes, sources, products] = await Promise.all([
+    runCypherReadOnly(`
+      CALL db.schema.nodeTypeProperties() YIELD nodeLabels, propertyName, propertyTypes
+      UNWIND nodeLabels AS label
+      RETURN label, collect({property: propertyName, types: propertyTypes}) AS properties
+      ORDER BY label
+    `),
+    runCypherReadOnly(`
+      CALL db.schema.relTypeProperties() YIELD relType, propertyName, propertyTypes
+      WITH replace(replace(relType, ':\`', ''), '\`', '') AS type, propertyName, propertyTypes
+      RETURN type, collect({property: propertyName, types: propertyTypes}) AS properties
+      ORDER BY type
+    `),
+    runCypherReadOnly(`
+      MATCH (a)-[r]->(b)
+      RETURN DISTINCT labels(a)[0] AS from, type(r) AS rel, labels(b)[0] AS to
+    `),
+    // Full-text indexes are optional (older imports have none)
+    runCypherReadOnly(`
+      SHOW FULLTEXT INDEXES YIELD name, labelsOrTypes, properties, state
+      WHERE state = 'ONLINE'
+      RETURN name, labelsOrTypes, properties
+    `).catch(() => []),
+    runCypherReadOnly(`MATCH (s:Source) RETURN DISTINCT s.name AS source ORDER BY source`),
+    runCypherReadOnly(`MATCH (p:Product) RETURN DISTINCT p.name AS name ORDER BY name`)
+  ]);
+
+  return omitInternal({
+    nodes: nodes.map(node => ({ label: node.label, properties: uniqueProperties(node.properties) })),
+    relationships: relationships.map(rel => ({ type: rel.type, properties: uniqueProperties(rel.properties) })),
+    structure,
+    fulltextIndexes,
+    sources: sources.map(r => r.source),
+    products: products.map(r => r.name)
+  });
+}
 
-    schemaCache = schema;
-    return schema;
+/**
+ * Drop bookkeeping labels and relationships so they are never counted,
+ * sampled or offered to the LLM
+ */
+export function omitInternal(structural) {
+  const internal = s => INTERNAL_LABELS.includes(s.from) || INTERNAL_LABELS.includes(s.to) || INTERNAL_RELATIONSHIPS.includes(s.rel);
+  return {
+    ...structural,
+    nodes: structural.nodes.filter(node => !INTERNAL_LABELS.includes(node.label)),
+    relationships: structural.relationships.filter(rel => !INTERNAL_RELATIONSHIPS.includes(rel.type)),
+    structure: structural.structure.filter(s => !internal(s))
+  };
+}
 
-  } catch (error) {
-    console.error("❌ Error loading schema:", error);
-    throw error;
+// A label on several label combinations reports its properties once per combination
+function uniqueProperties(properties) {
+  const byName = new Map();
+  for (const p of properties) {
+    if (p.property && !byName.has(p.property)) byName.set(p.property, { property: p.property, types: p.types || [] });
   }
+  return [...byName.values()];
+}
+
+// Label counts come from the count store, so this stays cheap on large graphs
+async function labelCounts(labels) {
+  const counts = await Promise.all(labels.map(label =>
+    runCypherReadOnly(`MATCH (n:\`${label}\`) RETURN count(n) AS count`).then(([row]) => row.count)
+  ));
+  return Object.fromEntries(labels.map((label, i) => [label, counts[i]]));
+}
+
+async function sampleLabel(label) {
+  try {
+    const rows = await runCypherReadOnly(
+      `MATCH (n:\`${label}\`) RETURN properties(n) AS props LIMIT ${SAMPLES_PER_LABEL}`
+    );
+    return rows.map(r => r.props).filter(Boolean).map(omitVectors);
+  } catch {
+    return [];
+  }
+}
+
+function omitVectors(props) {
+  const out = { ...props };
+  for (const key of VECTOR_PROPERTIES) delete out[key];
+  return out;
+}
+
+/**
+ * Introspect the graph, re-sampling only labels whose count or property keys
+ * changed since the previous load
+ */
+async function loadSchema(previous) {
+  const fingerprint = await graphFingerprint();
+  const structural = await introspect();
+  const counts = await labelCounts(structural.nodes.map(n => n.label));
+
+  const samples = {};
+  const signatures = {};
+  const resampled = [];
+  for (const node of structural.nodes) {
+    const signature = `${counts[node.label]}|${node.properties.map(p => p.property).sort().join(",")}`;
+    signatures[node.label] = signature;
+    if (previous?.signatures[node.label] === signature) {
+      samples[node.label] = previous.samples[node.label];
+    } else {
+      samples[node.label] = await sampleLabel(node.label);
+      resampled.push(node.label);
+    }
+  }
+
+  return {
+    ...structural,
+    counts,
+    samples,
+    signatures,
+    resampled,
+    fingerprint,
+    domainGuidance: DOMAIN_RULES,
+    loadedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * The cached schema, loading it on first use and reloading it once the
+ * graph has changed since it was loaded
+ */
+export async function getSchema() {
+  if (!schemaCache) return refreshSchema();
+  if (Date.now() - checkedAt >= CHECK_INTERVAL_MS) {
+    checkedAt = Date.now();
+    try {
+      const current = await graphFingerprint();
+      if (current !== schemaCache.fingerprint) {
+        const schema = await refreshSchema();
+        console.log(`🔍 Graph changed, schema refreshed, re-sampled: ${schema.resampled.join(", ") || "none"}`);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Schema freshness check failed: ${error.message}`);
+    }
+  }
+  return schemaCache;
+}
+
+/**
+ * Re-read the schema now (concurrent calls share one load)
+ */
+export async function refreshSchema() {
+  if (!loading) {
+    loading = loadSchema(schemaCache)
+      .then(schema => {
+        schemaCache = schema;
+        checkedAt = Date.now();
+        return schema;
+      })
+      .catch(error => {
+        console.error("❌ Error loading schema:", error);
+        throw error;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+  return loading;
 }
 
 export async function initializeSchemaCache() {
@@ -147,11 +269,155 @@ export async function initializeSchemaCache() {
   const schema = await getSchema();
   console.log(`✅ Schema loaded`);
   console.log(`• Node types: ${schema.nodes.length}`);
+  for (const node of schema.nodes) {
+    console.log(`  • ${node.label}: ${schema.counts[node.label]} nodes, ${node.properties.length} props`);
+  }
   console.log(`• Relationship types: ${schema.relationships.length}`);
   console.log(`• Sources: ${schema.sources.join(", ") || "none"}`);
-  console.log(`• Products: ${schema.products.join(", ") || "none"}`);
+  console.log(`• Products: ${schema.products.length}`);
+  return schema;
+}
+
+// ============================================================================
+// PROMPT
+// ============================================================================
+function words(text) {
+  return (text || "").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function singular(word) {
+  return word.endsWith("ies") ? word.slice(0, -3) + "y" : word.replace(/s$/, "");
+}
+
+/**
+ * Relevance of each label to the question: named outright, hinted at by a
+ * keyword, a property name, or a known product / source name
+ */
+export function scoreLabels(schema, question) {
+  const questionWords = new Set(words(question).flatMap(w => [w, singular(w)]));
+  const lowered = (question || "").toLowerCase();
+  const scores = {};
+
+  for (const node of schema.nodes) {
+    const name = node.label.toLowerCase();
+    let score = 0;
+    if (questionWords.has(name) || questionWords.has(singular(name))) score += 3;
+    score += 2 * (LABEL_KEYWORDS[node.label] || []).filter(k => questionWords.has(k)).length;
+    score += node.properties.filter(p => questionWords.has(p.property.toLowerCase())).length;
+    scores[node.label] = score;
+  }
+
+  const mentions = names => names.some(n => n && n.length > 2 && lowered.includes(n.toLowerCase()));
+  if (mentions(schema.products || [])) {
+    for (const label of ["Product", "ProductFamily"]) if (label in scores) scores[label] += 3;
+  }
+  if (mentions(schema.sources || [])) {
+    for (const label of ["Source", "Thread"]) if (label in scores) scores[label] += 3;
+  }
+  return scores;
+}
+
+function describeLabel(schema, node) {
+  const props = node.properties.filter(p => !VECTOR_PROPERTIES.includes(p.property));
+  const note = LABEL_NOTES[node.label] ? ` - ${LABEL_NOTES[node.label]}` : "";
+  let text = `[${node.label}] (${schema.counts?.[node.label] ?? "?"} nodes)${note}\n`;
+  for (const p of props) {
+    text += `    - ${p.property} (${p.types?.join("|") || "unknown"})\n`;
+  }
+  return text;
+}
+
+function describeSamples(schema, label) {
+  let text = "";
+  for (const sample of (schema.samples[label] || []).slice(0, SAMPLES_PER_LABEL)) {
+    const display = {};
+    for (const [key, value] of Object.entries(sample)) {
+      display[key] = typeof value === "string" && value.length > SAMPLE_TEXT_LENGTH
+        ? value.substring(0, SAMPLE_TEXT_LENGTH) + "..."
+        : value;
+    }
+    text += `  ${label}: ${JSON.stringify(display)}\n`;
+  }
+  return text;
 }
 
-export function closeDriver() {
-  return driver.close();
-}
\ No newline at end of file
+function describeRelationship(rel) {
+  const props = rel.properties.map(p => p.property);
+  const note = RELATIONSHIP_NOTES[rel.type] ? ` - ${RELATIONSHIP_NOTES[rel.type]}` : "";
+  return `  [:${rel.type}]${props.length > 0 ? ` {${props.join(", ")}}` : ""}${note}\n`;
+}
+
+// Output order of the prompt's sections; pieces are picked by priority, not by this order
+const SECTIONS = [
+  ["guidance", ""],
+  ["labels", "=== NODE TYPES ===\n"],
+  ["relationships", "=== RELATIONSHIPS ===\n"],
+  ["connections", "=== GRAPH CONNECTIONS ===\n"],
+  ["fulltext", "=== FULL-TEXT INDEXES ===\n"],
+  ["samples", "=== SAMPLE RECORDS ===\n"],
+  ["others", "=== OTHER NODE TYPES (details omitted) ===\n"]
+];
+
+/**
+ * Schema prompt for a question, within `budget` tokens (≈ 4 chars each).
+ * Priority: domain rules, relevant labels, their connections and relationship
+ * properties, their full-text indexes, samples, then everything else. Without
+ * a question (or with nothing relevant in it) every label is treated as relevant.
+ */
+export function buildSchemaPrompt(schema, question = "", { budget = PROMPT_TOKENS } = {}) {
+  const scores = scoreLabels(schema, question);
+  let relevant = schema.nodes
+    .filter(n => scores[n.label] > 0)
+    .sort((a, b) => scores[b.label] - scores[a.label]);
+  if (relevant.length === 0) relevant = schema.nodes;
+  const relevantLabels = new Set(relevant.map(n => n.label));
+  const others = schema.nodes.filter(n => !relevantLabels.has(n.label));
+
+  const touches = s => relevantLabels.has(s.from) || relevantLabels.has(s.to);
+  const connections = schema.structure.filter(touches);
+  const relTypes = new Set(connections.map(s => s.rel));
+  const indexes = (schema.fulltextIndexes || []).filter(i => i.labelsOrTypes.some(l => relevantLabels.has(l)));
+
+  const pieces = [
+    { section: "guidance", text: schema.domainGuidance + "\n" },
+    ...relevant.map(node => ({ section: "labels", label: node.label, text: describeLabel(schema, node) })),
+    ...connections.map(s => ({ section: "connections", text: `  (${s.from})-[:${s.rel}]->(${s.to})\n` })),
+    ...schema.relationships
+      .filter(rel => relTypes.has(rel.type))
+      .map(rel => ({ section: "relationships", text: describeRelationship(rel) })),
+    ...indexes.map(i => ({
+      section: "fulltext",
+      text: `  ${i.name}: ${i.labelsOrTypes.join("|")}(${i.properties.join(", ")})\n`
+    })),
+    ...relevant.map(node => ({ section: "samples", text: describeSamples(schema, node.label) })),
+    ...others.map(node => ({ section: "labels", label: node.label, text: describeLabel(schema, node) })),
+    ...schema.structure
+      .filter(s => !touches(s))
+      .map(s => ({ section: "connections", text: `  (${s.from})-[:${s.rel}]->(${s.to})\n` })),
+    ...schema.relationships
+      .filter(rel => !relTypes.has(rel.type))
+      .map(rel => ({ section: "relationships", text: describeRelationship(rel) }))
+  ];
+
+  // Headers and the closing list of labels left out are paid for up front
+  const reserved = SECTIONS.reduce((sum, [, header]) => sum + header.length + 1, 0)
+    + others.reduce((sum, node) => sum + node.label.length + 2, 0);
+  let remaining = budget * CHARS_PER_TOKEN - reserved;
+  const kept = [];
+  for (const piece of pieces) {
+    if (!piece.text || piece.text.length > remaining) continue;
+    remaining -= piece.text.length;
+    kept.push(piece);
+  }
+
+  const shown = new Set(kept.filter(p => p.label).map(p => p.label));
+  const omitted = schema.nodes.filter(n => !shown.has(n.label)).map(n => n.label);
+  if (omitted.length > 0) kept.push({ section: "others", text: `  ${omitted.join(", ")}\n` });
+
+  let prompt = "";
+  for (const [section, header] of SECTIONS) {
+    const texts = kept.filter(p => p.section === section).map(p => p.text);
+    if (texts.length > 0) prompt += `${header}${texts.join("")}\n`;
+  }
+  return prompt.trim();
+}
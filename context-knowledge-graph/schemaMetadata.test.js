@@ -0,0 +1,112 @@
+// schemaMetadata.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildSchemaPrompt, omitInternal, scoreLabels } from "./schemaMetadata.js";
+
+const props = (...names) => names.map(property => ({ property, types: ["String"] }));
+
+const schema = {
+  nodes: [
+    { label: "Thread", properties: props("title", "thread_url", "source") },
+    { label: "Post", properties: props("text", "author", "embedding") },
+    { label: "Solution", properties: props("content", "status", "score") },
+    { label: "Product", properties: props("name", "model") },
+    { label: "ProductFamily", properties: props("name", "brand") },
+    { label: "Source", properties: props("name") },
+    { label: "User", properties: props("username") }
+  ],
+  relationships: [
+    { type: "IN_THREAD", properties: [] },
+    { type: "PROPOSES", properties: props("score") },
+    { type: "ABOUT_PRODUCT", properties: [] },
+    { type: "VARIANT_OF", properties: [] },
+    { type: "FROM_SOURCE", properties: [] },
+    { type: "WROTE", properties: [] }
+  ],
+  structure: [
+    { from: "Post", rel: "IN_THREAD", to: "Thread" },
+    { from: "Post", rel: "PROPOSES", to: "Solution" },
+    { from: "Thread", rel: "ABOUT_PRODUCT", to: "Product" },
+    { from: "Product", rel: "VARIANT_OF", to: "ProductFamily" },
+    { from: "Thread", rel: "FROM_SOURCE", to: "Source" },
+    { from: "User", rel: "WROTE", to: "Post" }
+  ],
+  fulltextIndexes: [
+    { name: "post_text_fulltext", labelsOrTypes: ["Post"], properties: ["text"] },
+    { name: "solution_content_fulltext", labelsOrTypes: ["Solution"], properties: ["content"] }
+  ],
+  counts: { Thread: 40, Post: 900, Solution: 60, Product: 25, ProductFamily: 8, Source: 2, User: 300 },
+  samples: {
+    Solution: [{ content: "Update the BIOS ".repeat(40), status: "accepted" }],
+    User: [{ username: "ann" }]
+  },
+  domainGuidance: "THIS IS A V1 KNOWLEDGE GRAPH.",
+  products: ["XPS 13 9315", "OptiPlex 9020"],
+  sources: ["dell_forums", "anandtech"]
+};
+
+describe("scoreLabels", () => {
+  it("scores labels named, hinted at or matched by property", () => {
+    const scores = scoreLabels(schema, "Which fixes were accepted for posts about the BIOS?");
+    assert.equal(scores.Solution, 4);
+    assert.equal(scores.Post, 7);
+    assert.equal(scores.User, 0);
+    assert.equal(scoreLabels(schema, "What is the status of threads?").Solution, 1);
+  });
+
+  it("boosts products and sources mentioned by name", () => {
+    const scores = scoreLabels(schema, "Problems with the XPS 13 9315 on dell_forums");
+    assert.ok(scores.Product >= 3 && scores.ProductFamily >= 3);
+    assert.ok(scores.Source >= 3 && scores.Thread >= 3);
+  });
+});
+
+describe("omitInternal", () => {
+  it("drops import and build bookkeeping from the introspected schema", () => {
+    const structural = omitInternal({
+      nodes: [...schema.nodes, { label: "ImportRun", properties: props("id", "status") }, { label: "KGBuild", properties: props("finished_at") }],
+      relationships: [...schema.relationships, { type: "CREATED_IN", properties: [] }],
+      structure: [...schema.structure, { from: "Post", rel: "CREATED_IN", to: "ImportRun" }, { from: "Thread", rel: "FROM_SOURCE", to: "KGBuild" }],
+      sources: schema.sources
+    });
+
+    assert.deepEqual(structural.nodes, schema.nodes);
+    assert.deepEqual(structural.relationships, schema.relationships);
+    assert.deepEqual(structural.structure, schema.structure);
+    assert.deepEqual(structural.sources, schema.sources);
+  });
+});
+
+describe("buildSchemaPrompt", () => {
+  it("shows everything for a question with no relevant labels", () => {
+    const prompt = buildSchemaPrompt(schema, "hello there", { budget: 100000 });
+    for (const node of schema.nodes) assert.match(prompt, new RegExp(`\\[${node.label}\\]`));
+    assert.doesNotMatch(prompt, /OTHER NODE TYPES/);
+    assert.match(prompt, /\[Solution\] \(60 nodes\) - a fix proposed in/);
+    assert.match(prompt, /\[:VARIANT_OF\] - roll products up to their family/);
+  });
+
+  it("leaves embedding properties out and truncates long samples", () => {
+    const prompt = buildSchemaPrompt(schema, "", { budget: 100000 });
+    assert.doesNotMatch(prompt, /- embedding/);
+    assert.match(prompt, /Solution: \{"content":"(Update the BIOS ){18}Update the B\.\.\."/);
+  });
+
+  it("puts relevant labels first and lists the rest by name when the budget is tight", () => {
+    const prompt = buildSchemaPrompt(schema, "Which solutions were accepted?", { budget: 200 });
+
+    assert.match(prompt, /^THIS IS A V1 KNOWLEDGE GRAPH\./);
+    assert.match(prompt, /\[Solution\]/);
+    assert.match(prompt, /\(Post\)-\[:PROPOSES\]->\(Solution\)/);
+    assert.match(prompt, /solution_content_fulltext: Solution\(content\)/);
+    assert.doesNotMatch(prompt, /post_text_fulltext/);
+    assert.doesNotMatch(prompt, /\[User\]/);
+    assert.match(prompt, /=== OTHER NODE TYPES \(details omitted\) ===\n {2}(\w+, )*User/);
+  });
+
+  it("stays within the budget", () => {
+    for (const budget of [100, 200, 400]) {
+      assert.ok(buildSchemaPrompt(schema, "Which products have accepted fixes?", { budget }).length <= budget * 4);
+    }
+  });
+});
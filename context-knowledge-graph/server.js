@@ -1,11 +1,17 @@
 // server.js
 import express from "express";
 import cors from "cors";
+import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import { answerUserQuery } from "./queryUnderstanding.js";
-import { initializeSchemaCache } from "./schemaMetadata.js";
+import { buildSchemaPrompt, getSchema, initializeSchemaCache, refreshSchema } from "./schemaMetadata.js";
 import { closeDriver } from "./neo4jClient.js";
+import { sessions } from "./sessionStore.js";
+import { cacheStats, clearCaches } from "./cache.js";
+import { loadExamples, promoteExample, removeExample } from "./fewShot.js";
+import { QueryRejectedError } from "./queryGuard.js";
+import { FEEDBACK_RATINGS, analyticsReport, getInteraction, recordFeedback, recordInteraction } from "./analytics.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,11 +27,61 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 
+// Session id from the X-Session-Id header or the kg_session cookie; new visitors get one
+const SESSION_COOKIE = "kg_session";
+
+function readCookie(req, name) {
+  const match = (req.headers.cookie || "").match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`));
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+app.use("/api", (req, res, next) => {
+  const provided = req.get("X-Session-Id") || readCookie(req, SESSION_COOKIE);
+  req.sessionId = provided && /^[\w-]{8,64}$/.test(provided) ? provided : sessions.newId();
+  res.cookie(SESSION_COOKIE, req.sessionId, { httpOnly: true, sameSite: "lax", maxAge: sessions.ttlMs });
+  res.set("X-Session-Id", req.sessionId);
+  next();
+});
+
 // Readiness check endpoint
 app.get("/api/ready", (req, res) => {
   res.json({ ready: isServerReady });
 });
 
+// Admin endpoints need X-Admin-Token = ADMIN_TOKEN; without ADMIN_TOKEN they are disabled
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(403).json({ error: "Admin endpoints are disabled (set ADMIN_TOKEN)" });
+  }
+  if (req.get("X-Admin-Token") !== process.env.ADMIN_TOKEN) {
+    return res.status(401).json({ error: "Invalid admin token" });
+  }
+  next();
+}
+
+// The session id is the only credential: a client may only touch its own session
+function requireOwnSession(req, res, next) {
+  if (req.params.id !== req.sessionId) {
+    return res.status(403).json({ error: "Only your own session can be changed" });
+  }
+  next();
+}
+
+// "plan" enables the multi-step planner; anything else leaves the server default
+function queryMode(mode) {
+  return ["single", "plan"].includes(mode) ? mode : undefined;
+}
+
+// Analytics must never break a query
+async function logInteraction(req, entry) {
+  try {
+    return await recordInteraction({ sessionId: req.sessionId, ...entry });
+  } catch (error) {
+    console.warn(`⚠️ Could not record interaction: ${error.message}`);
+    return null;
+  }
+}
+
 // API endpoint
 app.post("/api/query", async (req, res) => {
   if (!isServerReady) {
@@ -35,7 +91,7 @@ app.post("/api/query", async (req, res) => {
   }
   
   try {
-    const { question, conversationHistory = [] } = req.body;
+    const { question, conversationHistory = [], mode } = req.body;
 
     if (!question || typeof question !== "string") {
       return res.status(400).json({
@@ -53,22 +109,36 @@ app.post("/api/query", async (req, res) => {
       }));
 
     console.log(`[${new Date().toISOString()}] Query: "${question}" (history: ${trimmedHistory.length} msgs)`);
-    const result = await answerUserQuery(question, trimmedHistory);
+    const result = await answerUserQuery(question, {
+      sessionId: req.sessionId,
+      history: trimmedHistory,
+      mode: queryMode(mode),
+    });
+    const interactionId = await logInteraction(req, { endpoint: "query", question, mode: queryMode(mode), result });
 
     if (result.error) {
-      return res.status(400).json(result);
+      return res.status(400).json({ ...result, interactionId });
     }
 
     res.json({
       answer: result.answer,
+      citations: result.citations || [],
       cypher: result.cypher,
       intent: result.intent,
       method: result.method,
       confidence: result.confidence,
-      rowCount: result.data?.length ?? 0,
+      rowCount: result.resultCount ?? 0,
+      columns: result.columns || [],
+      rows: result.rows || [],
+      graph: result.graph || null,
+      plan: result.plan,
+      timings: result.timings,
+      sessionId: result.sessionId,
+      interactionId,
     });
   } catch (error) {
     console.error("Server error:", error);
+    await logInteraction(req, { endpoint: "query", question: req.body?.question, error: error.message });
     res.status(500).json({
       error: "An unexpected error occurred. Please try again later.",
       details:
@@ -77,6 +147,242 @@ app.post("/api/query", async (req, res) => {
   }
 });
 
+// Streaming endpoint: Server-Sent Events for each stage, then the answer tokens.
+// Events: plan, step, cypher, fix, rows, retrieval, rejected, token, done (final result), error
+app.get("/api/query/stream", async (req, res) => {
+  if (!isServerReady) {
+    return res.status(503).json({
+      error: "Server is still initializing. Please wait a moment.",
+    });
+  }
+
+  const question = req.query.question;
+  if (!question || typeof question !== "string") {
+    return res.status(400).json({
+      error: "Invalid request. Please provide a question.",
+    });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  req.on("close", () => { closed = true; });
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  console.log(`[${new Date().toISOString()}] Stream query: "${question}"`);
+  try {
+    const result = await answerUserQuery(question, {
+      sessionId: req.sessionId,
+      onEvent: send,
+      mode: queryMode(req.query.mode),
+    });
+    const interactionId = await logInteraction(req, { endpoint: "stream", question, mode: queryMode(req.query.mode), result });
+    send(result.error ? "error" : "done", {
+      answer: result.answer,
+      citations: result.citations || [],
+      cypher: result.cypher,
+      method: result.method,
+      error: result.error,
+      rejection: result.rejection,
+      rowCount: result.resultCount ?? 0,
+      columns: result.columns || [],
+      rows: result.rows || [],
+      graph: result.graph || null,
+      plan: result.plan,
+      queryTime: result.queryTime,
+      timings: result.timings,
+      sessionId: result.sessionId,
+      interactionId,
+    });
+  } catch (error) {
+    console.error("Stream error:", error);
+    await logInteraction(req, { endpoint: "stream", question, error: error.message });
+    send("error", { error: "An unexpected error occurred. Please try again later." });
+  } finally {
+    res.end();
+  }
+});
+
+// Thumbs up/down (+ optional comment) on an answer
+app.post("/api/feedback", async (req, res) => {
+  const { interactionId, rating, comment } = req.body || {};
+  if (!interactionId || !FEEDBACK_RATINGS.includes(rating)) {
+    return res.status(400).json({ error: `interactionId and rating (${FEEDBACK_RATINGS.join(" or ")}) are required` });
+  }
+  try {
+    const feedback = await recordFeedback({ interactionId, rating, comment, sessionId: req.sessionId });
+    if (!feedback) {
+      return res.status(404).json({ error: `Interaction ${interactionId} not found` });
+    }
+    res.status(201).json(feedback);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sessions (expired ones are purged whenever they are listed)
+setInterval(() => sessions.list().catch(() => {}), 10 * 60 * 1000).unref();
+
+app.get("/api/sessions", requireAdmin, async (req, res) => {
+  try {
+    res.json({ backend: sessions.backend, sessions: await sessions.list() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/api/sessions/:id/reset", requireOwnSession, async (req, res) => {
+  try {
+    const session = await sessions.reset(req.params.id);
+    res.json({ id: session.id, reset: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/sessions/:id", requireOwnSession, async (req, res) => {
+  try {
+    const deleted = await sessions.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: `Session ${req.params.id} not found` });
+    }
+    res.json({ id: req.params.id, deleted: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cache
+app.get("/api/cache/stats", (req, res) => {
+  res.json(cacheStats());
+});
+
+app.post("/api/cache/clear", requireAdmin, (req, res) => {
+  const names = req.query.cache ? String(req.query.cache).split(",") : null;
+  clearCaches("api", names);
+  res.json({ cleared: names || "all", ...cacheStats() });
+});
+
+// Schema: summary, the prompt a question would get (?question=...), and on-demand refresh
+function schemaSummary(schema) {
+  return {
+    loadedAt: schema.loadedAt,
+    labels: schema.nodes.map(n => ({ label: n.label, count: schema.counts[n.label], properties: n.properties.length })),
+    relationships: schema.relationships.map(r => r.type),
+    fulltextIndexes: schema.fulltextIndexes.map(i => i.name),
+    sources: schema.sources,
+    resampled: schema.resampled
+  };
+}
+
+app.get("/api/schema", async (req, res) => {
+  try {
+    const schema = await getSchema();
+    const body = schemaSummary(schema);
+    if (req.query.question !== undefined) {
+      const budget = Number(req.query.budget) || undefined;
+      body.prompt = buildSchemaPrompt(schema, String(req.query.question), { budget });
+    }
+    res.json(body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/api/schema/refresh", requireAdmin, async (req, res) => {
+  try {
+    res.json(schemaSummary(await refreshSchema()));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin: the few-shot example library
+app.get("/api/admin/examples", requireAdmin, (req, res) => {
+  res.json(loadExamples());
+});
+
+// Promote { question, cypher }, a logged { interactionId } (e.g. one rated up in the
+// analytics report) or, with { sessionId }, that session's last question and query
+app.post("/api/admin/examples", requireAdmin, async (req, res) => {
+  let { question, cypher, tags, note, sessionId, interactionId } = req.body || {};
+  try {
+    if (interactionId) {
+      const interaction = await getInteraction(interactionId);
+      if (!interaction) {
+        return res.status(404).json({ error: `Interaction ${interactionId} not found` });
+      }
+      question = question || interaction.question;
+      cypher = cypher || interaction.cypher;
+    }
+    if (sessionId) {
+      const session = await sessions.get(sessionId);
+      question = question || session.messages.filter(m => m.role === "user").at(-1)?.content;
+      cypher = cypher || session.lastCypher;
+    }
+    if (!question || !cypher) {
+      return res.status(400).json({ error: "question and cypher (or a sessionId with a last query) are required" });
+    }
+
+    const example = promoteExample({ question, cypher, tags: Array.isArray(tags) ? tags : [], note }, await getSchema());
+    res.status(201).json({ version: loadExamples().version, example });
+  } catch (error) {
+    if (error instanceof QueryRejectedError) {
+      return res.status(422).json({ error: error.message, rejection: error.toJSON() });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/admin/examples/:id", requireAdmin, (req, res) => {
+  if (!removeExample(req.params.id)) {
+    return res.status(404).json({ error: `Example ${req.params.id} not found` });
+  }
+  res.json({ id: req.params.id, deleted: true, version: loadExamples().version });
+});
+
+app.get("/api/admin/analytics", requireAdmin, async (req, res) => {
+  try {
+    res.json(await analyticsReport({
+      days: Number(req.query.days) || null,
+      limit: Number(req.query.limit) || 10
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pre-run common questions so their Cypher, rows and answers are cached
+async function warmCache() {
+  const file = process.env.CACHE_WARMUP_FILE || path.join(__dirname, "cache-warmup.json");
+  let questions;
+  try {
+    questions = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    console.warn(`⚠️ Cache warmup skipped: cannot read ${file} (${error.message})`);
+    return;
+  }
+
+  console.log(`\n🔥 Warming cache with ${questions.length} questions...`);
+  const started = Date.now();
+  for (const question of questions) {
+    // Each question in its own throwaway session so none is read as a follow-up
+    const sessionId = sessions.newId();
+    const result = await answerUserQuery(question, { sessionId });
+    await sessions.delete(sessionId);
+    console.log(`  ${result.error ? "✗" : "✓"} ${question}`);
+  }
+  console.log(`🔥 Cache warm in ${Date.now() - started}ms`);
+}
+
 // Health check
 app.get("/api/health", (req, res) => {
   res.json({ 
@@ -95,6 +401,8 @@ app.get("*", (req, res) => {
 app.listen(PORT, async () => {
   console.log(`✅ Server running on http://localhost:${PORT}`);
   console.log(`📊 API endpoint: http://localhost:${PORT}/api/query`);
+  console.log(`📡 Streaming: http://localhost:${PORT}/api/query/stream?question=...`);
+  console.log(`💬 Sessions: ${sessions.backend} store, ${sessions.ttlMs / 60000} min TTL`);
   console.log(`\n🔄 Initializing knowledge graph...`);
 
   try {
@@ -109,6 +417,10 @@ app.listen(PORT, async () => {
     console.log(`  • Temporal trend analysis`);
     console.log(`  • Source credibility weighting`);
     console.log(`  • User expertise modeling`);
+
+    if (process.env.CACHE_WARMUP === "true") {
+      warmCache().catch((error) => console.error("❌ Cache warmup failed:", error));
+    }
   } catch (error) {
     console.error("❌ Failed to initialize schema:", error);
     console.error("Server will not accept queries until this is resolved.");
@@ -0,0 +1,155 @@
+// sessionStore.js
+// Per-session conversation state with TTL expiry.
+//
+// Each session holds its own message history, last Cypher and last results,
+// so follow-up questions resolve against the asker's own previous query.
+// SESSION_STORE picks the backend: "memory" (default) or "file", which keeps
+// one JSON file per session under SESSION_DIR and survives restarts.
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const TTL_MS = (Number(process.env.SESSION_TTL_MINUTES) || 60) * 60 * 1000;
+const MAX_MESSAGES = 20;
+const MAX_STORED_RESULTS = 20;
+
+// ============================================================================
+// BACKENDS
+// ============================================================================
+// Every backend exposes async get(id), set(id, session), delete(id), list()
+function memoryBackend() {
+  const sessions = new Map();
+  return {
+    name: "memory",
+    async get(id) { return sessions.get(id) || null; },
+    async set(id, session) { sessions.set(id, session); },
+    async delete(id) { return sessions.delete(id); },
+    async list() { return [...sessions.values()]; }
+  };
+}
+
+function fileBackend(dir = process.env.SESSION_DIR || path.join(__dirname, "sessions")) {
+  // Session ids come from clients: only allow safe file names
+  const file = id => path.join(dir, `${id.replace(/[^\w-]/g, "_")}.json`);
+  const read = async filePath => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch {
+      return null;
+    }
+  };
+
+  return {
+    name: "file",
+    async get(id) { return read(file(id)); },
+    async set(id, session) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file(id), JSON.stringify(session));
+    },
+    async delete(id) {
+      try {
+        await fs.unlink(file(id));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    async list() {
+      const names = await fs.readdir(dir).catch(() => []);
+      const sessions = await Promise.all(names.filter(n => n.endsWith(".json")).map(n => read(path.join(dir, n))));
+      return sessions.filter(Boolean);
+    }
+  };
+}
+
+export const SESSION_BACKENDS = {
+  memory: memoryBackend,
+  file: fileBackend
+};
+
+// ============================================================================
+// STORE
+// ============================================================================
+function emptySession(id) {
+  const now = Date.now();
+  return { id, createdAt: now, updatedAt: now, messages: [], lastResults: [], lastCypher: null };
+}
+
+const isExpired = (session, ttlMs) => Date.now() - session.updatedAt > ttlMs;
+
+export function createSessionStore({ backend = process.env.SESSION_STORE || "memory", ttlMs = TTL_MS } = {}) {
+  const factory = SESSION_BACKENDS[backend];
+  if (!factory) {
+    throw new Error(`Unknown session store "${backend}" (available: ${Object.keys(SESSION_BACKENDS).join(", ")})`);
+  }
+  const storage = factory();
+
+  return {
+    backend: storage.name,
+    ttlMs,
+
+    newId() {
+      return crypto.randomUUID();
+    },
+
+    /**
+     * The live session for an id; a fresh one if missing or expired
+     */
+    async get(id) {
+      const session = await storage.get(id);
+      if (session && !isExpired(session, ttlMs)) return session;
+      if (session) await storage.delete(id);
+      return emptySession(id);
+    },
+
+    /**
+     * Persist a session, trimming history and stored results
+     */
+    async save(session) {
+      session.updatedAt = Date.now();
+      session.messages = session.messages.slice(-MAX_MESSAGES);
+      session.lastResults = (session.lastResults || []).slice(0, MAX_STORED_RESULTS);
+      await storage.set(session.id, session);
+      return session;
+    },
+
+    async reset(id) {
+      const existing = await storage.get(id);
+      const session = emptySession(id);
+      if (existing) session.createdAt = existing.createdAt;
+      await storage.set(id, session);
+      return session;
+    },
+
+    async delete(id) {
+      return storage.delete(id);
+    },
+
+    /**
+     * Summaries of live sessions, without their content (expired ones are purged on the way)
+     */
+    async list() {
+      const live = [];
+      for (const session of await storage.list()) {
+        if (isExpired(session, ttlMs)) {
+          await storage.delete(session.id);
+          continue;
+        }
+        live.push({
+          id: session.id,
+          createdAt: new Date(session.createdAt).toISOString(),
+          updatedAt: new Date(session.updatedAt).toISOString(),
+          expiresAt: new Date(session.updatedAt + ttlMs).toISOString(),
+          messageCount: session.messages.length
+        });
+      }
+      return live.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+  };
+}
+
+export const sessions = createSessionStore();
@@ -0,0 +1,120 @@
+// sessionStore.test.js
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createSessionStore } from "./sessionStore.js";
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "session-test-"));
+after(() => fs.rm(tmp, { recursive: true, force: true }));
+
+const MINUTE = 60 * 1000;
+
+// Date.now under the test's control
+function clock(t, start = Date.UTC(2026, 0, 1)) {
+  let now = start;
+  t.mock.method(Date, "now", () => now);
+  return { advance: ms => { now += ms; } };
+}
+
+async function ask(store, id, question) {
+  const session = await store.get(id);
+  session.messages.push({ role: "user", content: question });
+  session.lastCypher = `// ${question}`;
+  return store.save(session);
+}
+
+describe("createSessionStore", () => {
+  it("rejects unknown backends", () => {
+    assert.throws(() => createSessionStore({ backend: "redis" }), /Unknown session store "redis" \(available: memory, file\)/);
+  });
+
+  it("keeps each session's history and last query to itself", async () => {
+    const store = createSessionStore({ backend: "memory" });
+    await ask(store, "alice", "Which threads mention the XPS 13?");
+    await ask(store, "bob", "Top solutions for dock flicker?");
+
+    const alice = await store.get("alice");
+    assert.deepEqual(alice.messages.map(m => m.content), ["Which threads mention the XPS 13?"]);
+    assert.equal(alice.lastCypher, "// Which threads mention the XPS 13?");
+    assert.equal((await store.get("bob")).lastCypher, "// Top solutions for dock flicker?");
+    assert.deepEqual((await store.get("carol")).messages, []);
+  });
+
+  it("expires sessions after the TTL of inactivity", async (t) => {
+    const time = clock(t);
+    const store = createSessionStore({ backend: "memory", ttlMs: 30 * MINUTE });
+    await ask(store, "alice", "first");
+
+    time.advance(20 * MINUTE);
+    await ask(store, "alice", "second");
+    time.advance(20 * MINUTE);
+    assert.equal((await store.get("alice")).messages.length, 2);
+
+    time.advance(31 * MINUTE);
+    const expired = await store.get("alice");
+    assert.deepEqual(expired.messages, []);
+    assert.equal(expired.lastCypher, null);
+  });
+
+  it("trims history and stored results", async () => {
+    const store = createSessionStore({ backend: "memory" });
+    const session = await store.get("alice");
+    session.messages = Array.from({ length: 25 }, (_, i) => ({ role: "user", content: `q${i}` }));
+    session.lastResults = Array.from({ length: 30 }, (_, i) => ({ i }));
+    await store.save(session);
+
+    const saved = await store.get("alice");
+    assert.equal(saved.messages.length, 20);
+    assert.equal(saved.messages[0].content, "q5");
+    assert.equal(saved.lastResults.length, 20);
+    assert.deepEqual(saved.lastResults[0], { i: 0 });
+  });
+
+  it("resets a session but keeps when it was created", async (t) => {
+    const time = clock(t);
+    const store = createSessionStore({ backend: "memory" });
+    const { createdAt } = await ask(store, "alice", "first");
+    time.advance(MINUTE);
+
+    const reset = await store.reset("alice");
+    assert.equal(reset.createdAt, createdAt);
+    assert.deepEqual(reset.messages, []);
+    assert.equal(await store.delete("alice"), true);
+    assert.equal(await store.delete("alice"), false);
+  });
+
+  it("lists live sessions, newest first, and purges expired ones", async (t) => {
+    const time = clock(t);
+    const store = createSessionStore({ backend: "memory", ttlMs: 10 * MINUTE });
+    await ask(store, "old", "first");
+    time.advance(11 * MINUTE);
+    await ask(store, "alice", "second");
+    time.advance(MINUTE);
+    await ask(store, "bob", "third");
+
+    const list = await store.list();
+    assert.deepEqual(list.map(s => [s.id, s.messageCount]), [["bob", 1], ["alice", 1]]);
+    assert.equal(list[1].expiresAt, new Date(Date.UTC(2026, 0, 1) + 21 * MINUTE).toISOString());
+    // The expired session is gone from storage, not just hidden
+    time.advance(-12 * MINUTE);
+    assert.deepEqual((await store.get("old")).messages, []);
+  });
+});
+
+describe("file backend", () => {
+  it("survives a new store instance and sanitizes ids into file names", async (t) => {
+    process.env.SESSION_DIR = tmp;
+    t.after(() => delete process.env.SESSION_DIR);
+
+    await ask(createSessionStore({ backend: "file" }), "../alice", "Which threads mention the XPS 13?");
+    assert.deepEqual(await fs.readdir(tmp), ["___alice.json"]);
+
+    const store = createSessionStore({ backend: "file" });
+    assert.equal((await store.get("../alice")).messages.length, 1);
+    assert.deepEqual((await store.list()).map(s => s.id), ["../alice"]);
+    assert.equal(await store.delete("../alice"), true);
+    assert.deepEqual(await fs.readdir(tmp), []);
+  });
+});
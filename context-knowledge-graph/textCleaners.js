@@ -0,0 +1,126 @@
+// textCleaners.js
+// Per-source text normalization for scraped forum markup.
+//
+// A source mapping selects a cleaner with "textCleaner". Each cleaner turns a
+// raw message into { text, quotes } (quotes = [{ author, snippet }]) and
+// normalizes usernames so authors and User rows join on the same value.
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+export const TEXT_CLEANERS = {
+  none: {
+    cleanText: (text) => ({ text, quotes: [] }),
+    cleanName: (name) => name
+  },
+  anandtech: {
+    cleanText: cleanXenForoText,
+    cleanName: cleanMarkdownName
+  }
+};
+
+export function getTextCleaner(name = "none") {
+  const cleaner = TEXT_CLEANERS[name];
+  if (!cleaner) {
+    throw new Error(`Unknown text cleaner "${name}" (available: ${Object.keys(TEXT_CLEANERS).join(", ")})`);
+  }
+  return cleaner;
+}
+
+// ============================================================================
+// SHARED HELPERS
+// ============================================================================
+/**
+ * "![Name](avatar.jpg)" → "Name", "adroc\_thurston" → "adroc_thurston"
+ */
+export function cleanMarkdownName(name) {
+  if (name == null) return name;
+  return name
+    .replace(/^!?\[([^\]]*)\]\([^)]*\)$/, "$1")
+    .replace(/\\([_*[\]()#>-])/g, "$1")
+    .trim();
+}
+
+// Length of the quoted text used to find the quoted message
+const QUOTE_SNIPPET_LENGTH = 80;
+
+// ============================================================================
+// XENFORO (ANANDTECH)
+// ============================================================================
+// Lines that start the page footer; everything after them is navigation
+const FOOTER_MARKERS = [
+  /^- !\[Like\]/,
+  /^Reactions: /,
+  /^\[You must log in or register/,
+  /^Share:$/,
+  /^### \[TRENDING THREADS\]/
+];
+
+const LINE_NOISE = [
+  /^\[[^\]]*\]\(https?:\/\/forums\.anandtech\.com\/members\/[^)]*\)$/, // author link
+  /^\[!\[[^\]]*\]\([^)]*\)\]\([^)]*\)$/,                              // avatar link
+  /^#{1,6} .*(Member|Lifer|Moderator|Administrator|member|Guide)\s*$/, // rank header
+  /^[A-Z][a-z]{2} \d{1,2}, \d{4}[\d,]*$/,                             // join date + counters
+  /^Last edited: .*$/
+];
+
+/**
+ * Strip author cards, rank headers, join-date/post-count strings, pasted
+ * "AI Overview" blocks and the page footer; lift "X said:" quotes out.
+ */
+function cleanXenForoText(raw) {
+  if (raw == null) return { text: raw, quotes: [] };
+
+  const lines = raw.replace(/\r\n/g, "\n").split("\n");
+  const kept = [];
+  const quotes = [];
+  let quote = null;
+  let aiOverview = null; // null | "heading" | "body"
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+
+    if (FOOTER_MARKERS.some(re => re.test(line))) break;
+
+    // > [Author said:](https://forums.anandtech.com/goto/post?id=...)
+    const quoteStart = line.match(/^>\s*\[(.+?) said:\]\([^)]*\)$/);
+    if (quoteStart) {
+      quote = { author: cleanMarkdownName(quoteStart[1]), lines: [] };
+      continue;
+    }
+    if (quote) {
+      if (/^>\s*Click to expand\.\.\.$/.test(line) || !line.startsWith(">")) {
+        const text = quote.lines.join(" ").replace(/\s+/g, " ").trim();
+        if (text) quotes.push({ author: quote.author, snippet: text.slice(0, QUOTE_SNIPPET_LENGTH) });
+        quote = null;
+        if (line.startsWith(">")) continue;
+      } else {
+        quote.lines.push(line.replace(/^>\s?/, ""));
+        continue;
+      }
+    }
+
+    // "AI Overview" heading plus the pasted paragraph under it
+    if (line === "AI Overview") {
+      aiOverview = "heading";
+      continue;
+    }
+    if (aiOverview) {
+      if (line !== "") {
+        aiOverview = "body";
+        continue;
+      }
+      if (aiOverview === "body") aiOverview = null;
+    }
+
+    if (LINE_NOISE.some(re => re.test(line))) continue;
+    kept.push(line);
+  }
+
+  const text = kept
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+  return { text, quotes };
+}
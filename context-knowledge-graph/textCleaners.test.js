@@ -0,0 +1,83 @@
+// textCleaners.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { cleanMarkdownName, getTextCleaner } from "./textCleaners.js";
+
+const anandtech = getTextCleaner("anandtech");
+
+describe("cleanMarkdownName", () => {
+  it("unwraps avatar and link markdown", () => {
+    assert.equal(cleanMarkdownName("![Hulk](https://forums.anandtech.com/data/avatars/m/1/1.jpg)"), "Hulk");
+    assert.equal(cleanMarkdownName("[Hulk](https://forums.anandtech.com/members/hulk.1/)"), "Hulk");
+  });
+
+  it("removes markdown escapes and surrounding space", () => {
+    assert.equal(cleanMarkdownName(" adroc\\_thurston "), "adroc_thurston");
+    assert.equal(cleanMarkdownName("Det0x\\*"), "Det0x*");
+  });
+
+  it("passes missing names through", () => {
+    assert.equal(cleanMarkdownName(null), null);
+    assert.equal(cleanMarkdownName(undefined), undefined);
+  });
+});
+
+describe("getTextCleaner", () => {
+  it("defaults to the no-op cleaner", () => {
+    const cleaner = getTextCleaner();
+    assert.deepEqual(cleaner.cleanText("> [A said:](x)\nraw"), { text: "> [A said:](x)\nraw", quotes: [] });
+    assert.equal(cleaner.cleanName("![A](a.jpg)"), "![A](a.jpg)");
+  });
+
+  it("rejects unknown cleaners", () => {
+    assert.throws(() => getTextCleaner("phpbb"), /Unknown text cleaner "phpbb" \(available: none, anandtech\)/);
+  });
+});
+
+describe("anandtech cleaner", () => {
+  it("strips the author card, rank header and join-date counters", () => {
+    const raw = [
+      "[![Hulk](https://forums.anandtech.com/data/avatars/m/1/1.jpg)](https://forums.anandtech.com/members/hulk.1/)",
+      "[Hulk](https://forums.anandtech.com/members/hulk.1/)",
+      "#### Diamond Member",
+      "Oct 9, 1999",
+      "4,678",
+      "The new BIOS fixed my fan noise.",
+      "Last edited: Jan 2, 2026"
+    ].join("\n");
+    assert.deepEqual(anandtech.cleanText(raw), { text: "4,678\nThe new BIOS fixed my fan noise.", quotes: [] });
+  });
+
+  it("lifts quotes out of the text", () => {
+    const raw = [
+      "> [Det0x\\_ said:](https://forums.anandtech.com/goto/post?id=1)",
+      "> The battery drains overnight",
+      "> even in hibernate.",
+      "> Click to expand...",
+      "Try disabling modern standby."
+    ].join("\n");
+    const { text, quotes } = anandtech.cleanText(raw);
+    assert.equal(text, "Try disabling modern standby.");
+    assert.deepEqual(quotes, [{ author: "Det0x_", snippet: "The battery drains overnight even in hibernate." }]);
+  });
+
+  it("keeps only the first 80 characters of a quote as its snippet", () => {
+    const long = "word ".repeat(40).trim();
+    const { quotes } = anandtech.cleanText(`> [Ann said:](https://x)\n> ${long}\n> Click to expand...\nAgreed.`);
+    assert.equal(quotes[0].snippet, long.slice(0, 80));
+  });
+
+  it("drops pasted AI Overview blocks", () => {
+    const raw = "Here is what I found.\n\nAI Overview\n\nModern standby keeps the CPU partly awake.\n\nDisable it in the BIOS.";
+    assert.equal(anandtech.cleanText(raw).text, "Here is what I found.\n\nDisable it in the BIOS.");
+  });
+
+  it("cuts the page footer", () => {
+    const raw = "Works for me now.\n\n- ![Like](https://x/like.png)\nReactions: Ann, Bob\n### [TRENDING THREADS](https://x)";
+    assert.equal(anandtech.cleanText(raw).text, "Works for me now.");
+  });
+
+  it("passes missing text through", () => {
+    assert.deepEqual(anandtech.cleanText(null), { text: null, quotes: [] });
+  });
+});
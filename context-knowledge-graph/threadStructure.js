@@ -0,0 +1,78 @@
+// threadStructure.js
+// Conversation structure inside each thread.
+//
+// Orders a thread's posts and comments (original post first, then by time),
+// stores their `position`, chains them with [:NEXT] and infers [:REPLIES_TO]
+// from quotes, then @mentions, falling back to the original post.
+// Everything is rebuilt from scratch so repeated imports converge.
+
+import { run } from "./importer.js";
+
+const STEPS = [
+  // Reset
+  `
+    MATCH (:Thread)<-[:IN_THREAD]-(m)-[r:NEXT|REPLIES_TO]->()
+    DELETE r
+  `,
+  // Order
+  `
+    MATCH (t:Thread)<-[:IN_THREAD]-(m)
+    WHERE m:Post OR m:Comment
+    WITH t, m
+    ORDER BY coalesce(m.is_original_post, false) DESC,
+             m.created_at,
+             CASE WHEN m:Post THEN 0 ELSE 1 END,
+             m.id
+    WITH t, collect(m) AS messages
+    FOREACH (i IN range(0, size(messages) - 1) |
+      SET (messages[i]).position = i
+    )
+    FOREACH (i IN range(0, size(messages) - 2) |
+      FOREACH (a IN [messages[i]] |
+        FOREACH (b IN [messages[i + 1]] |
+          MERGE (a)-[:NEXT]->(b)
+        )
+      )
+    )
+  `,
+  // Quotes
+  `
+    MATCH (t:Thread)<-[:IN_THREAD]-(m)-[:QUOTES]->(q)-[:IN_THREAD]->(t)
+    WHERE m.position > q.position
+    WITH m, q
+    ORDER BY q.position DESC
+    WITH m, head(collect(q)) AS target
+    MERGE (m)-[r:REPLIES_TO]->(target)
+    SET r.method = 'quote'
+  `,
+  // Mentions
+  `
+    MATCH (t:Thread)<-[:IN_THREAD]-(m)
+    WHERE m.position > 0 AND m.text CONTAINS '@' AND NOT (m)-[:REPLIES_TO]->()
+    MATCH (t)<-[:IN_THREAD]-(e)<-[:AUTHORED]-(u:User)
+    WHERE e.position < m.position AND m.text CONTAINS ('@' + u.username)
+    WITH m, e
+    ORDER BY e.position DESC
+    WITH m, head(collect(e)) AS target
+    MERGE (m)-[r:REPLIES_TO]->(target)
+    SET r.method = 'mention'
+  `,
+  // Original post
+  `
+    MATCH (t:Thread)<-[:IN_THREAD]-(m)
+    WHERE m.position > 0 AND NOT (m)-[:REPLIES_TO]->()
+    MATCH (t)<-[:IN_THREAD]-(op {position: 0})
+    MERGE (m)-[r:REPLIES_TO]->(op)
+    SET r.method = 'original_post'
+  `
+];
+
+/**
+ * Rebuild NEXT chains and REPLIES_TO edges for every thread
+ */
+export async function buildThreadStructure(driver) {
+  for (const query of STEPS) {
+    await run(driver, query);
+  }
+  console.log("Thread conversation chains and replies are created");
+}
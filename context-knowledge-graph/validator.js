@@ -0,0 +1,229 @@
+// validator.js
+// Pre-import data-quality checks over the mapped CSV rows.
+//
+// Checks required columns and values, referential integrity (post/comment
+// author ∈ users of the same source, thread_url ∈ threads), duplicate keys and
+// encoding damage. Produces a machine-readable report; in strict mode any error
+// aborts the import, in lenient mode the offending rows are quarantined.
+
+import fs from "fs/promises";
+import path from "path";
+import { readCsvWithChecksum } from "./csvReader.js";
+import { ENTITY_KINDS, KIND_ORDER, contentId, mapRow } from "./importer.js";
+import { getTextCleaner } from "./textCleaners.js";
+
+// Foreign keys checked per kind: row[field] must exist among `kind` rows
+const REFERENCES = {
+  post: [
+    { field: "author", kind: "user", sameSource: true },
+    { field: "thread_url", kind: "thread" }
+  ],
+  comment: [
+    { field: "author", kind: "user", sameSource: true },
+    { field: "thread_url", kind: "thread" }
+  ]
+};
+
+// Usernames scrapers emit when the real author could not be read
+const PLACEHOLDER_NAMES = new Set(["unknown", "anonymous", "deleted", "guest", "null", "undefined"]);
+
+// U+FFFD, or UTF-8 bytes decoded as Latin-1/Windows-1252 ("Ã©", "â€™")
+const ENCODING_DAMAGE = /�|Ã[\u0080-¿]|â€[\u0080-¿‘-”™]/;
+
+export class ValidationError extends Error {
+  constructor(report) {
+    super(`Validation failed: ${report.summary.errors} errors in ${report.summary.rows} rows`);
+    this.name = "ValidationError";
+    this.report = report;
+  }
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+/**
+ * Validate every mapped file. Returns { report, rejects } where rejects maps
+ * file name → Set of rejected row indexes (0-based, header excluded).
+ */
+export async function validateSources(configs, { csvPath, mode = "lenient" }) {
+  const files = [];
+
+  // Load and map everything first so references can be resolved across files
+  for (const kind of KIND_ORDER) {
+    for (const config of configs) {
+      for (const entity of config.entities.filter(e => e.kind === kind)) {
+        const cleaner = getTextCleaner(entity.textCleaner || config.textCleaner);
+        const { rows } = await readCsvWithChecksum(csvPath(entity.file));
+        files.push({
+          source: config.source,
+          kind,
+          entity,
+          header: rows.length > 0 ? Object.keys(rows[0]) : [],
+          raw: rows,
+          rows: rows.map(row => {
+            const mapped = mapRow(row, entity.columns);
+            if (mapped.username != null) mapped.username = cleaner.cleanName(mapped.username);
+            if (mapped.author != null) mapped.author = cleaner.cleanName(mapped.author);
+            return mapped;
+          })
+        });
+      }
+    }
+  }
+
+  const known = collectKeys(files);
+  const results = files.map(file => validateFile(file, known));
+
+  const summary = {
+    files: results.length,
+    rows: results.reduce((n, r) => n + r.rows, 0),
+    errors: results.reduce((n, r) => n + r.issues.filter(i => i.severity === "error").length, 0),
+    warnings: results.reduce((n, r) => n + r.issues.filter(i => i.severity === "warning").length, 0),
+    rejected: mode === "strict" ? 0 : results.reduce((n, r) => n + r.rejected.length, 0)
+  };
+
+  const report = {
+    generated_at: new Date().toISOString(),
+    mode,
+    summary,
+    files: results.map(({ rejected, ...rest }) => ({ ...rest, rejected: rejected.length }))
+  };
+
+  const rejects = new Map();
+  const rejectedRows = [];
+  if (mode !== "strict") {
+    results.forEach((result, i) => {
+      rejects.set(result.file, new Set(result.rejected));
+      for (const index of result.rejected) {
+        rejectedRows.push({
+          source: result.source,
+          kind: result.kind,
+          file: result.file,
+          row: index + 1,
+          issues: result.issues.filter(issue => issue.row === index + 1).map(issue => issue.code),
+          data: files[i].raw[index]
+        });
+      }
+    });
+  }
+
+  return { report, rejects, rejectedRows };
+}
+
+function collectKeys(files) {
+  const known = { user: new Set(), thread: new Set() };
+  for (const file of files) {
+    if (file.kind === "user") {
+      for (const row of file.rows) {
+        if (row.username != null) known.user.add(`${file.source}␟${row.username}`);
+      }
+    }
+    if (file.kind === "thread") {
+      for (const row of file.rows) {
+        if (row.thread_url != null) known.thread.add(row.thread_url);
+      }
+    }
+  }
+  return known;
+}
+
+function validateFile(file, known) {
+  const { source, kind, entity } = file;
+  const issues = [];
+  const rejected = new Set();
+  const seen = new Map();
+
+  const addIssue = (index, severity, code, field, message) => {
+    issues.push({ row: index === null ? null : index + 1, severity, code, field, message });
+    if (severity === "error" && index !== null) rejected.add(index);
+  };
+
+  // Columns named in the mapping but absent from the CSV header
+  if (file.raw.length > 0) {
+    const columns = [
+      ...Object.entries(entity.columns).map(([field, column]) => ({ field, column })),
+      ...Object.entries(entity.properties || {}).map(([field, spec]) => ({ field, column: spec.column }))
+    ];
+    for (const { field, column } of columns) {
+      if (!file.header.includes(column)) {
+        const severity = ENTITY_KINDS[kind].required.includes(field) ? "error" : "warning";
+        addIssue(null, severity, "missing_column", field, `Column "${column}" not found in ${entity.file}`);
+      }
+    }
+  }
+
+  file.rows.forEach((row, index) => {
+    // Required values
+    for (const field of ENTITY_KINDS[kind].required) {
+      if (row[field] == null || String(row[field]).trim() === "") {
+        addIssue(index, "error", "missing_value", field, `Empty ${field}`);
+      }
+    }
+
+    // Placeholder usernames are kept but flagged
+    for (const field of ["username", "author"]) {
+      if (row[field] != null && PLACEHOLDER_NAMES.has(String(row[field]).trim().toLowerCase())) {
+        addIssue(index, "warning", "placeholder_value", field, `Placeholder ${field} "${row[field]}"`);
+      }
+    }
+
+    // Referential integrity
+    for (const ref of REFERENCES[kind] || []) {
+      const value = row[ref.field];
+      if (value == null) continue;
+      const lookup = ref.sameSource ? `${source}␟${value}` : value;
+      if (!known[ref.kind].has(lookup)) {
+        addIssue(index, "error", `unknown_${ref.kind}`, ref.field, `${ref.field} "${value}" has no matching ${ref.kind} row`);
+      }
+    }
+
+    // Duplicates: same natural key, or same content id for messages
+    const key = ENTITY_KINDS[kind].key
+      ? contentId([source, ...ENTITY_KINDS[kind].key.map(field => row[field])])
+      : row.username;
+    if (key != null) {
+      if (seen.has(key)) {
+        addIssue(index, "warning", "duplicate", null, `Duplicate of row ${seen.get(key) + 1}`);
+      } else {
+        seen.set(key, index);
+      }
+    }
+
+    // Encoding damage in any mapped text value
+    for (const [field, value] of Object.entries(row)) {
+      if (typeof value === "string" && ENCODING_DAMAGE.test(value)) {
+        addIssue(index, "warning", "encoding", field, `Possible encoding damage in ${field}`);
+      }
+    }
+  });
+
+  return {
+    source,
+    kind,
+    file: entity.file,
+    rows: file.rows.length,
+    issues,
+    rejected: [...rejected].sort((a, b) => a - b)
+  };
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+/**
+ * Write the JSON report and, in lenient mode, the quarantined rows as JSONL
+ */
+export async function writeValidationOutput(dir, { report, rejectedRows }) {
+  await fs.mkdir(dir, { recursive: true });
+  const stamp = report.generated_at.replace(/[-:.]/g, "");
+  const reportPath = path.join(dir, `validation-${stamp}.json`);
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+
+  let rejectsPath = null;
+  if (rejectedRows.length > 0) {
+    rejectsPath = path.join(dir, `rejects-${stamp}.jsonl`);
+    await fs.writeFile(rejectsPath, rejectedRows.map(r => JSON.stringify(r)).join("\n") + "\n");
+  }
+
+  return { reportPath, rejectsPath };
+}
@@ -0,0 +1,94 @@
+// validator.test.js
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { validateSources, writeValidationOutput } from "./validator.js";
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "validator-test-"));
+after(() => fs.rm(tmp, { recursive: true, force: true }));
+
+await fs.writeFile(path.join(tmp, "users.csv"), "name\nann\nbob\nDeleted\n");
+await fs.writeFile(path.join(tmp, "threads.csv"), "url,title\nhttps://a/1,Battery drain\n");
+await fs.writeFile(path.join(tmp, "posts.csv"), [
+  "thread_url,author,date,text",
+  "https://a/1,ann,2026-01-01,My battery drains",
+  "https://a/1,carol,2026-01-02,Same here",
+  "https://a/2,bob,2026-01-02,Wrong thread",
+  "https://a/1,bob,2026-01-03,",
+  "https://a/1,ann,2026-01-01,My battery drains",
+  "https://a/1,bob,2026-01-04,It doesnÃ©t sleep",
+  "https://a/1,Deleted,2026-01-05,Removed"
+].join("\n") + "\n");
+
+const configs = [{
+  source: "a",
+  entities: [
+    { kind: "user", file: "users.csv", columns: { username: "name" } },
+    { kind: "thread", file: "threads.csv", columns: { thread_url: "url", title: "title", type: "thread_type" } },
+    { kind: "post", file: "posts.csv", columns: { thread_url: "thread_url", author: "author", date: "date", text: "text" } }
+  ]
+}];
+const csvPath = file => path.join(tmp, file);
+
+const issueCodes = (report, file) =>
+  report.files.find(f => f.file === file).issues.map(({ row, severity, code }) => [row, severity, code]);
+
+describe("validateSources", () => {
+  it("reports missing columns, values, references, duplicates, placeholders and encoding damage", async () => {
+    const { report } = await validateSources(configs, { csvPath });
+
+    assert.deepEqual(issueCodes(report, "users.csv"), [[3, "warning", "placeholder_value"]]);
+    assert.deepEqual(issueCodes(report, "threads.csv"), [[null, "warning", "missing_column"]]);
+    assert.deepEqual(issueCodes(report, "posts.csv"), [
+      [2, "error", "unknown_user"],
+      [3, "error", "unknown_thread"],
+      [4, "error", "missing_value"],
+      [5, "warning", "duplicate"],
+      [6, "warning", "encoding"],
+      [7, "warning", "placeholder_value"]
+    ]);
+    assert.deepEqual(report.summary, { files: 3, rows: 11, errors: 3, warnings: 5, rejected: 3 });
+  });
+
+  it("quarantines rows with errors in lenient mode", async () => {
+    const { rejects, rejectedRows } = await validateSources(configs, { csvPath });
+
+    assert.deepEqual([...rejects.get("posts.csv")], [1, 2, 3]);
+    assert.equal(rejects.get("users.csv").size, 0);
+    assert.deepEqual(rejectedRows.map(r => [r.row, r.issues]), [[2, ["unknown_user"]], [3, ["unknown_thread"]], [4, ["missing_value"]]]);
+    assert.equal(rejectedRows[0].data.author, "carol");
+  });
+
+  it("rejects nothing in strict mode so the caller can abort", async () => {
+    const { report, rejects, rejectedRows } = await validateSources(configs, { csvPath, mode: "strict" });
+    assert.equal(report.summary.errors, 3);
+    assert.equal(report.summary.rejected, 0);
+    assert.equal(rejects.size, 0);
+    assert.deepEqual(rejectedRows, []);
+  });
+
+  it("fails a required column missing from the header", async () => {
+    const bad = [{ source: "a", entities: [{ kind: "user", file: "users.csv", columns: { username: "login" } }] }];
+    const { report } = await validateSources(bad, { csvPath });
+    assert.deepEqual(issueCodes(report, "users.csv").slice(0, 2), [[null, "error", "missing_column"], [1, "error", "missing_value"]]);
+  });
+});
+
+describe("writeValidationOutput", () => {
+  it("writes the report and the quarantined rows as JSONL", async () => {
+    const result = await validateSources(configs, { csvPath });
+    const { reportPath, rejectsPath } = await writeValidationOutput(path.join(tmp, "reports"), result);
+
+    assert.deepEqual(JSON.parse(await fs.readFile(reportPath, "utf8")), result.report);
+    const lines = (await fs.readFile(rejectsPath, "utf8")).trim().split("\n").map(line => JSON.parse(line));
+    assert.deepEqual(lines, result.rejectedRows);
+  });
+
+  it("skips the rejects file when nothing was quarantined", async () => {
+    const result = await validateSources(configs, { csvPath, mode: "strict" });
+    const { rejectsPath } = await writeValidationOutput(path.join(tmp, "reports-strict"), result);
+    assert.equal(rejectsPath, null);
+  });
+});